@@ -2,24 +2,48 @@
 import chalk from 'chalk'
 import cp from 'child_process'
 import createTorrent from 'create-torrent'
-import ecstatic from 'ecstatic'
 import fs from 'fs'
 import http from 'http'
-import inquirer from 'inquirer'
+import https from 'https'
 import mime from 'mime'
 import moment from 'moment'
+import net from 'net'
+import os from 'os'
 import networkAddress from 'network-address'
 import parseTorrent from 'parse-torrent'
 import path from 'path'
 import MemoryChunkStore from 'memory-chunk-store'
 import prettierBytes from 'prettier-bytes'
 import stripIndent from 'common-tags/lib/stripIndent/index.js'
-import vlcCommand from 'vlc-command'
 import WebTorrent from 'webtorrent'
 import Yargs from 'yargs'
-import { hideBin } from 'yargs/helpers'
+import { Parser, hideBin } from 'yargs/helpers'
 import open from 'open'
 
+import { CastSession, KEYS as CAST_KEYS, PROTOCOLS as CAST_PROTOCOLS, browseDevices, discoverDevices, matchesDevice } from '../lib/cast.js'
+import { addCredentials, createAccessCheck, createInternalRoute, parseAllowList, parseAuth } from '../lib/access.js'
+import { apiRequest, createApiServer, isLoopback } from '../lib/api.js'
+import { Config, formatSet } from '../lib/config.js'
+import { formatEvent, reportTorrent as reportTorrentEvents } from '../lib/events.js'
+import { pickFiles } from '../lib/file-picker.js'
+import { parseInputList } from '../lib/input-list.js'
+import { createHlsHandler, findFfmpeg, hlsPath } from '../lib/hls.js'
+import { createMetricsServer, torrentStats } from '../lib/metrics.js'
+import { Queue } from '../lib/queue.js'
+import { SeedLimiter, parseDuration } from '../lib/seed-limits.js'
+import { SpeedLimits, parseSchedule } from '../lib/speed-limits.js'
+import { StreamBuffer } from '../lib/stream-buffer.js'
+import { createPlayers, detectPlayer, playerCommand } from '../lib/players.js'
+import { createPlaylistHandler, isMediaFile, playlistEntries, playlistFormat, renderPlaylistFile } from '../lib/playlist.js'
+import { selectFiles } from '../lib/select.js'
+import { createSubtitlesHandler, findSubtitles, languageCode, serveVtt, subtitlesPath } from '../lib/subtitles.js'
+import { Session } from '../lib/session.js'
+import { readCertificate, selfSignedCertificate } from '../lib/tls.js'
+import { Tui } from '../lib/tui.js'
+import { formatRanges, toBitfield, verifyTorrent } from '../lib/verify.js'
+import { DESCRIPTION_PATH, SsdpServer, createUpnpHandler, deviceUuid } from '../lib/upnp.js'
+import { createWebUiHandler } from '../lib/web-ui.js'
+import { FolderWatcher, markFile } from '../lib/watch-folder.js'
 import webTorrentCliVersion from '../version.cjs'
 const webTorrentVersion = WebTorrent.VERSION
 
@@ -38,62 +62,125 @@ const options = {
     iina: { desc: 'IINA', type: 'boolean' },
     smplayer: { desc: 'SMPlayer', type: 'boolean' },
     xbmc: { desc: 'XBMC', type: 'boolean' },
-    stdout: { desc: 'Standard out (implies --quiet)', type: 'boolean' }
+    stdout: { desc: 'Standard out (implies --quiet)', type: 'boolean' },
+    player: { desc: 'Any player of `webtorrent players`, including players of the config file', type: 'string', requiresArg: true },
+    'cast-device': { desc: 'Only cast to the devices of `webtorrent devices` with this name', type: 'string', requiresArg: true }
   },
   simple: {
     o: { alias: 'out', desc: 'Set download destination', type: 'string', requiresArg: true },
-    s: { alias: 'select', desc: 'Select specific file in torrent', defaultDescription: 'List files' },
-    i: { alias: 'interactive-select', desc: 'Interactively select specific file in torrent', type: 'boolean' },
-    t: { alias: 'subtitles', desc: 'Load subtitles file', type: 'string', requiresArg: true }
+    s: { alias: 'select', desc: 'Select files in torrent by index, range or glob (e.g. 0,2,5-9)', defaultDescription: 'List files' },
+    exclude: { desc: 'Skip files in torrent matching a glob (e.g. "*.nfo")', type: 'string', requiresArg: true },
+    i: { alias: 'interactive-select', desc: 'Interactively select files in torrent', type: 'boolean' },
+    t: { alias: 'subtitles', desc: 'Load subtitles file', type: 'string', requiresArg: true },
+    'subtitle-lang': { desc: 'Preferred languages of the subtitles found in the torrent (e.g. en,es)', type: 'string', requiresArg: true },
+    'subtitle-offset': { desc: 'Shift the subtitles by this many seconds (e.g. -1.5)', type: 'number', requiresArg: true },
+    'input-file': { desc: 'Read torrent ids from a file, one per line ("-" for stdin)', type: 'string', requiresArg: true },
+    sequential: { desc: 'Download the first and last pieces of each file first', type: 'boolean' },
+    'stream-buffer': { desc: 'Download this many MB ahead of where the files are read first (e.g. 32)', type: 'number', requiresArg: true }
   },
   advanced: {
     p: { alias: 'port', desc: 'Change the http server port', type: 'number', default: 8000, requiresArg: true },
+    'web-ui': { desc: 'Serve a dashboard to control webtorrent from a browser on the http server port', type: 'boolean' },
+    'upnp-server': { desc: 'Let smart TVs on the network browse and play the torrents (UPnP/DLNA media server)', type: 'boolean', conflicts: ['tls-cert', 'tls-self-signed'] },
+    hls: { desc: 'Serve HLS streams of the media files under /hls for browsers that can\'t play them (needs ffmpeg)', type: 'boolean' },
+    ffmpeg: { desc: 'Path of the ffmpeg of --hls', type: 'string', requiresArg: true, defaultDescription: 'ffmpeg on the PATH' },
+    auth: { desc: 'Protect the http servers with a password (user:pass) or a random token in the URL (token)', type: 'string', requiresArg: true },
+    bind: { desc: 'Listen on this address only', type: 'string', requiresArg: true, defaultDescription: 'all addresses' },
+    allow: { desc: 'Only accept http clients from these address ranges (e.g. 192.168.1.0/24)', type: 'string', requiresArg: true },
+    'tls-cert': { desc: 'Serve over https with this certificate file (PEM)', type: 'string', requiresArg: true, implies: 'tls-key', conflicts: 'tls-self-signed' },
+    'tls-key': { desc: 'Private key file (PEM) of --tls-cert', type: 'string', requiresArg: true, implies: 'tls-cert' },
+    'tls-self-signed': { desc: 'Serve over https with a self-signed certificate', type: 'boolean' },
     b: { alias: 'blocklist', desc: 'Load blocklist file/url', type: 'string', requiresArg: true },
     a: { alias: 'announce', desc: 'Tracker URL to announce to', type: 'string', requiresArg: true },
     q: { alias: 'quiet', desc: 'Don\'t show UI on stdout', type: 'boolean' },
+    tui: { desc: 'Show an interactive full-screen UI with keyboard controls', type: 'boolean' },
+    json: { desc: 'Print progress as newline-delimited JSON events (implies --quiet)', type: 'boolean', conflicts: 'stdout' },
     d: { alias: 'download-limit', desc: 'Maximum download speed in kB/s', type: 'number', requiresArg: true, default: -1, defaultDescription: 'unlimited' },
     u: { alias: 'upload-limit', desc: 'Maximum upload speed in kB/s', type: 'number', requiresArg: true, default: -1, defaultDescription: 'unlimited' },
+    'alt-download-limit': { desc: 'Maximum download speed in kB/s while alternative speed is on', type: 'number', requiresArg: true },
+    'alt-upload-limit': { desc: 'Maximum upload speed in kB/s while alternative speed is on', type: 'number', requiresArg: true },
+    'alt-speed': { desc: 'Start with alternative speed on (toggle with SIGUSR2)', type: 'boolean' },
+    schedule: { desc: 'Change speed limits by time of day, read from a file', type: 'string', requiresArg: true },
     pip: { desc: 'Enter Picture-in-Picture if supported by the player', type: 'boolean' },
     verbose: { desc: 'Show torrent protocol details', type: 'boolean' },
     playlist: { desc: 'Open files in a playlist if supported by the player', type: 'boolean' },
+    'playlist-out': { desc: 'Write the media files to a playlist file (.m3u, .m3u8 or .xspf)', type: 'string', requiresArg: true },
     'player-args': { desc: 'Add player specific arguments (see example)', type: 'string', requiresArg: true },
     'torrent-port': { desc: 'Change the torrent seeding port', defaultDescription: 'random', type: 'number', requiresArg: true },
     'dht-port': { desc: 'Change the dht port', defaultDescription: 'random', type: 'number', requiresArg: true },
     'not-on-top': { desc: 'Don\'t set "always on top" option in player', type: 'boolean' },
     'keep-seeding': { desc: 'Don\'t quit when done downloading', type: 'boolean' },
+    'seed-ratio': { desc: 'Stop seeding a torrent once this share ratio is reached', type: 'number', requiresArg: true },
+    'seed-time': { desc: 'Stop seeding a torrent after this time (e.g. 6h)', type: 'string', requiresArg: true },
+    'seed-idle': { desc: 'Stop seeding a torrent after uploading nothing for this time (e.g. 30m)', type: 'string', requiresArg: true },
+    'max-active': { desc: 'Maximum number of torrents to download at the same time', type: 'number', requiresArg: true, defaultDescription: 'unlimited' },
+    'queue-order': { desc: 'Order in which queued torrents are started', choices: ['fifo', 'lifo'], default: 'fifo', requiresArg: true },
     'no-quit': { desc: 'Don\'t quit when player exits', type: 'boolean' },
     quit: { hidden: true, default: true },
     'on-done': { desc: 'Run script after torrent download is done', type: 'string', requiresArg: true },
-    'on-exit': { desc: 'Run script before program exit', type: 'string', requiresArg: true }
+    'on-exit': { desc: 'Run script before program exit', type: 'string', requiresArg: true },
+    'daemon-port': { desc: 'Change the daemon control API port', type: 'number', default: 9095, requiresArg: true },
+    'metrics-port': { desc: 'Serve Prometheus metrics on /metrics of this port', type: 'number', requiresArg: true },
+    resume: { desc: 'Restore the torrents of the last session', type: 'boolean' },
+    repair: { desc: 'Download the pieces that `webtorrent verify` finds bad again', type: 'boolean' },
+    'session-file': { desc: 'Save the torrents of this session to a file', type: 'string', requiresArg: true, defaultDescription: '~/.config/webtorrent/session.json' },
+    config: { desc: 'Load default options from a config file', type: 'string', requiresArg: true, defaultDescription: '~/.config/webtorrent/config.json' },
+    profile: { desc: 'Use a named profile of the config file', type: 'string', requiresArg: true }
   }
 }
 
+const allOptions = { ...options.streaming, ...options.simple, ...options.advanced }
+
 const commands = [
   { command: ['download [torrent-ids...]', '$0'], desc: 'Download a torrent', handler: (args) => { processInputs(args.torrentIds, runDownload) } },
   { command: 'downloadmeta <torrent-ids...>', desc: 'Download metadata of torrent', handler: (args) => { processInputs(args.torrentIds, runDownloadMeta) } },
   { command: 'seed <inputs...>', desc: 'Seed a file or a folder', handler: (args) => { processInputs(args.inputs, runSeed) } },
   { command: 'create <input>', desc: 'Create a .torrent file', handler: (args) => { runCreate(args.input) } },
   { command: 'info <torrent-id>', desc: 'Show torrent information', handler: (args) => { runInfo(args.torrentId) } },
+  { command: 'verify <torrent-id>', desc: 'Check the downloaded files of a torrent in --out', handler: (args) => { runVerify(args.torrentId) } },
+  { command: 'watch <dir>', desc: 'Download torrent and magnet files added to a folder', handler: (args) => { runWatch(args.dir) } },
+  { command: 'daemon', desc: 'Run a client in the background with a local control API', handler: () => { runDaemon() } },
+  { command: 'add <torrent-ids...>', desc: 'Add torrents to the running daemon', handler: (args) => { runDaemonCommand('add', args.torrentIds) } },
+  { command: 'list', desc: 'List torrents of the running daemon', handler: () => { runDaemonCommand('list') } },
+  { command: 'pause <info-hash>', desc: 'Pause a torrent of the running daemon', handler: (args) => { runDaemonCommand('pause', args.infoHash) } },
+  { command: 'resume <info-hash>', desc: 'Resume a torrent of the running daemon', handler: (args) => { runDaemonCommand('resume', args.infoHash) } },
+  { command: 'remove <info-hash>', desc: 'Remove a torrent from the running daemon', handler: (args) => { runDaemonCommand('remove', args.infoHash) } },
+  { command: 'config <action> [key] [value]', desc: 'Show or change options in the config file', builder: (yargs) => yargs.positional('action', { choices: ['get', 'set', 'list'] }).positional('key', { type: 'string' }).positional('value', { type: 'string' }), handler: (args) => { runConfig(args.action, args.key, args.value) } },
+  { command: 'alt-speed [state]', desc: 'Turn alternative speed of the running daemon on or off', builder: (yargs) => yargs.positional('state', { choices: ['on', 'off', 'toggle'], default: 'toggle' }), handler: (args) => { runDaemonCommand('alt-speed', args.state) } },
+  { command: 'players', desc: 'List the installed players', handler: () => { runPlayers() } },
+  { command: 'devices [protocol]', desc: 'List the cast devices on the network', builder: (yargs) => yargs.positional('protocol', { choices: Object.keys(CAST_PROTOCOLS) }), handler: (args) => { runDevices(args.protocol) } },
   { command: 'version', desc: 'Show version information', handler: () => yargs.showVersion('log') },
   { command: 'help', desc: 'Show help information' } // Implicitly calls showHelp, as a result middleware is not executed
 ]
 
-// All command line arguments in one place. (stuff gets added at runtime, e.g. vlc path and omx jack)
-const playerArgs = {
-  vlc: ['', '--play-and-exit', '--quiet'],
-  iina: ['/Applications/IINA.app/Contents/MacOS/iina-cli', '--keep-running'],
-  mpv: ['mpv', '--really-quiet', '--loop=no'],
-  mplayer: ['mplayer', '-really-quiet', '-noidx', '-loop', '0'],
-  smplayer: ['smplayer', '-close-at-end'],
-  omx: [
-    'lxterminal', '-e',
-    'omxplayer', '-r',
-    '--timeout', '60',
-    '--no-ghost-box', '--align', 'center', '-o'
-  ]
-}
-
-let client, href, server, serving, playerName, subtitlesServer, drawInterval, argv
+// Commands that only talk to a running `webtorrent daemon`
+const daemonCommands = ['add', 'list', 'pause', 'resume', 'remove', 'alt-speed']
+
+// Torrents that are seeding until one of the seed limits is reached
+const seedLimiters = new Map()
+
+// Torrents whose file selection can still be changed from the `--tui`, as `{ get, set }`
+const fileSelections = new Map()
+
+// The buffers of --sequential and --stream-buffer
+const streamBuffers = new Map()
+
+let client, href, server, serverInstance, serving, playerName, subtitlesServer, controlServer, metricsServer, ssdpServer, drawInterval, argv
+let session, sessionInterval, watcher, seedLimits, speedLimits, speedRules, tui, auth, checkAccess, tlsOptions
+// Players that can be started, see players.js, and the one that was picked
+let players = createPlayers()
+let localPlayer = null
+// The files being cast to the --chromecast, --dlna, --airplay or --xbmc devices
+let castSession = null
+// ISO 639-1 codes of --subtitle-lang
+let subtitleLangs = []
+// The --subtitles server once it listens, see listenSubtitles()
+let subtitlesListening = null
+// The ffmpeg of --hls and the handler that runs it
+let ffmpegPath = null
+let hlsHandler = null
+// HLS stream of the selected file, for browsers
+let hlsHref = null
 let expectedError = false
 let gracefullyExiting = false
 let torrentCount = 1
@@ -101,6 +188,10 @@ let torrentCount = 1
 process.title = 'WebTorrent'
 
 process.on('exit', code => {
+  closeTui()
+  closeCastSession()
+  if (hlsHandler) hlsHandler.close()
+  if (client && argv.json) return emitEvent('exit', { code })
   if (code === 0 || expectedError) return // normal exit
   if (code === 130) return // intentional exit with Control-C
 
@@ -112,6 +203,11 @@ process.on('exit', code => {
 process.on('SIGINT', gracefulExit)
 process.on('SIGTERM', gracefulExit)
 
+// Windows has no SIGUSR2
+if (process.platform !== 'win32') {
+  process.on('SIGUSR2', toggleAltSpeed)
+}
+
 // Yargs setup
 yargs
   .wrap(Math.min(100, yargs.terminalWidth()))
@@ -153,6 +249,9 @@ yargs
   .options(options.simple).group(Object.keys(options.simple).concat(['help', 'version']), 'Options (simple): ')
   .options(options.advanced).group(Object.keys(options.advanced), 'Options (advanced)')
 
+// Options of the config file act as defaults, flags on the command line take precedence
+loadConfig()
+
 // Yargs callback order: middleware(callback) -> command(callback) -> yargs.parse(callback)
 yargs.middleware(init)
 
@@ -163,49 +262,114 @@ yargs
   .alias({ help: 'h', version: 'v' })
   .parse(hideBin(process.argv), { startTime: Date.now() })
 
-function init (_argv) {
+async function init (_argv) {
   argv = _argv
-  if ((argv._.length === 0 && !argv.torrentIds) || argv._[0] === 'version') {
+  if ((argv._.length === 0 && !argv.torrentIds && !argv.resume && !argv.inputFile) || argv._[0] === 'version') {
     return
   }
 
-  playerArgs.omx.push(typeof argv.omx === 'string' ? argv.omx : 'hdmi')
-
-  if (process.env.DEBUG) {
-    playerArgs.vlc.push('--extraintf=http:logger', '--verbose=2', '--file-logging', '--logfile=vlc-log.txt')
-  }
-  if (process.env.DEBUG || argv.stdout) {
+  if (process.env.DEBUG || argv.stdout || argv.json) {
     enableQuiet()
   }
 
-  const selectedPlayers = Object.keys(argv).filter(v => Object.keys(options.streaming).includes(v))
+  if (argv.tui && !argv.quiet && !(process.stdin.isTTY && process.stdout.isTTY)) {
+    return errorAndExit('--tui needs an interactive terminal')
+  }
+
+  const selectedPlayers = Object.keys(argv).filter(v => Object.keys(options.streaming).includes(v) && v !== 'player' && v !== 'cast-device')
+  if (argv.player) {
+    if (!players.has(argv.player)) {
+      return errorAndExit(`Unknown player "${argv.player}", see \`webtorrent players\``)
+    }
+    selectedPlayers.push(argv.player)
+  }
   playerName = selectedPlayers.length === 1 ? selectedPlayers[0] : null
+  // Cast devices and --stdout are not in the registry
+  localPlayer = players.get(playerName) || null
 
-  if (argv.subtitles) {
-    const subtitles = JSON.stringify(argv.subtitles)
-
-    playerArgs.vlc.push(`--sub-file=${subtitles}`)
-    playerArgs.mplayer.push(`-sub ${subtitles}`)
-    playerArgs.mpv.push(`--sub-file=${subtitles}`)
-    playerArgs.omx.push(`--subtitles ${subtitles}`)
-    playerArgs.smplayer.push(`-sub ${subtitles}`)
-
-    subtitlesServer = http.createServer(ecstatic({
-      root: path.dirname(argv.subtitles),
-      showDir: false,
-      cors: true
-    }))
+  if (argv.castDevice && !Object.keys(CAST_PROTOCOLS).some(protocol => argv[protocol])) {
+    return errorAndExit('--cast-device needs --chromecast, --dlna, --airplay or --xbmc')
+  }
+
+  if (argv.bind && !net.isIP(argv.bind)) {
+    return errorAndExit(`--bind needs an IP address, got "${argv.bind}"`)
+  }
+
+  try {
+    auth = argv.auth ? parseAuth(argv.auth) : null
+    checkAccess = createAccessCheck({ auth, allow: argv.allow ? parseAllowList(argv.allow) : null })
+  } catch (err) {
+    return errorAndExit(err)
+  }
+
+  // Anyone who can reach the dashboard can add torrents, so without a password it is only
+  // served on this machine
+  if (argv['web-ui'] && !auth) {
+    if (argv.bind && !isLoopback(argv.bind)) {
+      return errorAndExit('--web-ui needs --auth to listen on other addresses than localhost')
+    }
+    if (argv['upnp-server'] || Object.keys(CAST_PROTOCOLS).some(protocol => argv[protocol])) {
+      return errorAndExit('--web-ui needs --auth to serve other devices, e.g. with --auth token')
+    }
+    argv.bind = argv.bind || '127.0.0.1'
+  }
+
+  try {
+    if (argv.tlsCert) {
+      tlsOptions = readCertificate(argv.tlsCert, argv.tlsKey)
+    } else if (argv.tlsSelfSigned) {
+      const hosts = ['localhost', '127.0.0.1', '::1', networkAddress(), argv.bind]
+      tlsOptions = await selfSignedCertificate([...new Set(hosts.filter(host => host && !isWildcard(host)))])
+    }
+  } catch (err) {
+    return errorAndExit(err)
   }
 
-  if (argv.pip) {
-    playerArgs.iina.push('--pip')
+  if (argv.playlistOut && !playlistFormat(argv.playlistOut)) {
+    return errorAndExit(`--playlist-out needs a .m3u, .m3u8 or .xspf file, got "${argv.playlistOut}"`)
   }
 
-  if (!argv.notOnTop) {
-    playerArgs.vlc.push('--video-on-top')
-    playerArgs.mplayer.push('-ontop')
-    playerArgs.mpv.push('--ontop')
-    playerArgs.smplayer.push('-ontop')
+  if (argv.subtitleLang) {
+    subtitleLangs = [].concat(argv.subtitleLang).flatMap(langs => langs.split(',')).map(lang => lang.trim())
+    const unknown = subtitleLangs.find(lang => !languageCode(lang))
+    if (unknown !== undefined) {
+      return errorAndExit(`Unknown subtitle language "${unknown}", use e.g. en or eng`)
+    }
+    subtitleLangs = subtitleLangs.map(languageCode)
+  }
+
+  if (argv.subtitleOffset !== undefined && !Number.isFinite(argv.subtitleOffset)) {
+    return errorAndExit('--subtitle-offset needs a number of seconds, e.g. -1.5')
+  }
+
+  if (argv.streamBuffer !== undefined && !(argv.streamBuffer > 0)) {
+    return errorAndExit('--stream-buffer needs a size in MB, e.g. 32')
+  }
+
+  if (argv.hls) {
+    ffmpegPath = await findFfmpeg(argv.ffmpeg)
+    if (!ffmpegPath) {
+      return errorAndExit(argv.ffmpeg ? `--ffmpeg "${argv.ffmpeg}" is not an executable` : '--hls needs ffmpeg, install it or point --ffmpeg to it')
+    }
+  }
+
+  if (argv.subtitles) {
+    // Serves the file as WebVTT, which is all that cast devices play
+    const handleRequest = (req, res) => {
+      if (!checkAccess(req, res)) return
+      if (new URL(req.url, 'http://localhost').pathname !== subtitlesPathname()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' })
+        return res.end('Not found\n')
+      }
+      serveVtt(req, res, {
+        name: argv.subtitles,
+        offset: argv.subtitleOffset,
+        load: () => fs.promises.readFile(argv.subtitles)
+      })
+    }
+    subtitlesServer = tlsOptions
+      ? https.createServer(tlsOptions, handleRequest)
+      : http.createServer(handleRequest)
   }
 
   if (argv.downloadLimit > 0) {
@@ -216,25 +380,99 @@ function init (_argv) {
     argv.uploadLimit = argv.u = argv['upload-limit'] = argv.uploadLimit * 1024
   }
 
+  if (argv.altDownloadLimit > 0) {
+    argv.altDownloadLimit = argv['alt-download-limit'] = argv.altDownloadLimit * 1024
+  }
+
+  if (argv.altUploadLimit > 0) {
+    argv.altUploadLimit = argv['alt-upload-limit'] = argv.altUploadLimit * 1024
+  }
+
+  if (argv.schedule) {
+    try {
+      speedRules = parseSchedule(fs.readFileSync(argv.schedule, 'utf8'), { source: argv.schedule })
+    } catch (err) {
+      return errorAndExit(err)
+    }
+  }
+
   if (argv.onDone) {
     argv.onDone = argv['on-done'] = argv.onDone.split(' ')
   }
 
+  try {
+    if (argv.seedTime) {
+      argv.seedTime = argv['seed-time'] = parseDuration(argv.seedTime)
+    }
+
+    if (argv.seedIdle) {
+      argv.seedIdle = argv['seed-idle'] = parseDuration(argv.seedIdle)
+    }
+  } catch (err) {
+    return errorAndExit(err)
+  }
+
+  seedLimits = { ratio: argv.seedRatio, time: argv.seedTime, idle: argv.seedIdle }
+
   if (argv.onExit) {
     argv.onExit = argv['on-exit'] = argv.onExit.split(' ')
   }
 
-  if (playerName && argv.playerArgs) {
-    playerArgs[playerName].push(...argv.playerArgs.split(' '))
+  if (argv.resume || argv.sessionFile) {
+    session = new Session(argv.sessionFile)
   }
 
   // Trick to keep scrollable history.
-  if (!['create', 'info'].includes(argv._[0]) && !argv.quiet) {
+  if (!['create', 'info', 'verify', 'config', 'players', 'devices', ...daemonCommands].includes(argv._[0]) && !argv.quiet) {
     console.log('\n'.repeat(process.stdout.rows))
     console.clear()
   }
 }
 
+// All torrents share one client, so they share the peer pool and ports
+function getClient () {
+  if (client) return client
+
+  client = new WebTorrent({
+    blocklist: argv.blocklist,
+    torrentPort: argv['torrent-port'],
+    dhtPort: argv['dht-port'],
+    downloadLimit: argv.downloadLimit,
+    uploadLimit: argv.uploadLimit
+  })
+  client.on('error', fatalError)
+
+  speedLimits = new SpeedLimits(client, {
+    normal: { down: argv.downloadLimit, up: argv.uploadLimit },
+    alt: { down: argv.altDownloadLimit, up: argv.altUploadLimit },
+    rules: speedRules,
+    altEnabled: argv.altSpeed
+  }).start()
+  speedLimits.on('change', status => emitEvent('speed', status))
+
+  // Count events like hotswaps from the start, for the UI and the metrics
+  client.on('add', torrentStats)
+
+  if (argv['metrics-port']) {
+    metricsServer = createMetricsServer(client, checkAccess)
+    metricsServer.listen(argv['metrics-port'], argv.bind)
+      .on('error', err => {
+        if (err.code === 'EADDRINUSE') {
+          return errorAndExit(`Port ${argv['metrics-port']} for metrics is in use`)
+        }
+        return fatalError(err)
+      })
+  }
+
+  if (session) {
+    client.on('torrent', saveSession)
+    sessionInterval = setInterval(saveSession, 10000)
+    sessionInterval.unref()
+  }
+
+  return client
+}
+
 function runInfo (torrentId) {
   let parsedTorrent
 
@@ -265,6 +503,84 @@ function runInfo (torrentId) {
   }
 }
 
+// Hash checks the files of a torrent in --out, and with --repair downloads the bad pieces
+async function runVerify (torrentId) {
+  const dir = argv.out || process.cwd()
+  const showProgress = !argv.quiet && process.stdout.isTTY
+  let parsed, report
+
+  try {
+    parsed = await loadMetadata(torrentId)
+    let drawn = 0
+    report = await verifyTorrent(parsed, dir, {
+      onProgress: (done, total) => {
+        if (!showProgress || (Date.now() - drawn < 1000 && done < total)) return
+        drawn = Date.now()
+        process.stdout.write(chalk`\r{green Verifying:} {bold ${Math.floor(100 * done / total)}%} (${done}/${total} pieces)`)
+      }
+    })
+    if (showProgress) process.stdout.write('\n')
+  } catch (err) {
+    return errorAndExit(err)
+  }
+
+  if (argv.json) {
+    console.log(JSON.stringify(report))
+  } else {
+    printVerifyReport(report)
+  }
+
+  if (report.ok) process.exit(0)
+
+  if (!argv.repair) {
+    expectedError = true
+    process.exit(1)
+  }
+
+  // The client trusts the bitfield, so only the bad pieces are downloaded
+  argv.out = dir
+  if (client) await new Promise(resolve => client.remove(parsed.infoHash, () => resolve()))
+  runDownload(parseTorrent.toTorrentFile(parsed), { path: dir, bitfield: toBitfield(report) })
+}
+
+// The parsed metadata of a torrent id, from peers for magnet links
+async function loadMetadata (torrentId) {
+  let parsed
+  try {
+    parsed = parseTorrent(torrentId)
+  } catch (err) {
+    // Could be a filesystem path
+  }
+  if (!parsed || !parsed.infoHash) parsed = parseTorrent(await fs.promises.readFile(torrentId))
+  if (parsed.pieces) return parsed
+
+  if (!argv.quiet && !argv.json) console.log(chalk`{green fetching torrent metadata...}`)
+  return new Promise((resolve, reject) => {
+    const torrent = getClient().add(torrentId, { store: MemoryChunkStore, announce: argv.announce })
+    torrent.once('error', reject)
+    torrent.once('metadata', () => {
+      torrent.deselect(0, torrent.pieces.length - 1)
+      resolve(parseTorrent(torrent.torrentFile))
+    })
+  })
+}
+
+function printVerifyReport (report) {
+  const { total, valid, corrupt, missing } = report.pieces
+  const bad = report.files.filter(file => file.status !== 'ok')
+
+  console.log(chalk`{green Verified:} {bold ${report.name}} {green in} ${report.path}`)
+  console.log(chalk`{green Pieces:} {bold ${valid}/${total}} valid, {bold ${corrupt}} corrupt, {bold ${missing}} missing`)
+  bad.forEach(file => {
+    const size = file.status === 'incomplete' ? ` (${prettierBytes(file.size)} of ${prettierBytes(file.length)})` : ''
+    const pieces = file.pieces.length > 0 ? chalk`  {blue pieces ${formatRanges(file.pieces)}}` : ''
+    console.log(chalk`{red ${file.status.padEnd(10)}} ${file.path}${size}${pieces}`)
+  })
+  console.log(report.ok
+    ? chalk`{green All ${report.files.length} files are intact}`
+    : chalk`{red ${bad.length} of ${report.files.length} files don't match,} ${argv.repair ? 'downloading the bad pieces again' : 'run again with --repair to download the bad pieces'}`)
+}
+
 function runCreate (input) {
   if (!argv.createdBy) {
     argv.createdBy = 'WebTorrent <https://webtorrent.io>'
@@ -283,27 +599,71 @@ function runCreate (input) {
   })
 }
 
-async function runDownload (torrentId) {
+async function runDownload (torrentId, opts = {}) {
   if (!argv.out && !argv.stdout && !playerName) {
     argv.out = process.cwd()
   }
 
-  client = new WebTorrent({
-    blocklist: argv.blocklist,
-    torrentPort: argv['torrent-port'],
-    dhtPort: argv['dht-port'],
-    downloadLimit: argv.downloadLimit,
-    uploadLimit: argv.uploadLimit
+  // The dashboard and the media server keep running, so torrents stay around for them
+  const keepSeeding = opts.keepSeeding || argv['keep-seeding'] || argv['web-ui'] || argv['upnp-server']
+  // Frees the slot of this torrent in the download queue, with an error if it never finished
+  let finishCalled = false
+  const finish = err => {
+    if (finishCalled || !opts.onFinish) return
+    finishCalled = true
+    opts.onFinish(err)
+  }
+  // `--select` without a value lists the files instead of downloading them
+  const listFiles = argv.select === true
+  const select = opts.select !== undefined ? opts.select : (listFiles ? undefined : argv.select)
+  let selection = null
+  let finished = false
+
+  const torrent = getClient().add(torrentId, {
+    path: opts.path || argv.out,
+    announce: argv.announce,
+    paused: opts.paused,
+    bitfield: opts.bitfield
   })
-  client.on('error', fatalError)
+  reportTorrent(torrent)
+  torrent.once('close', () => finish(new Error('Torrent was closed before it was done')))
+
+  // With several torrents, one failing torrent should not stop the others
+  if (torrentCount > 1 || watcher) {
+    torrent.once('error', err => {
+      printError(err)
+      if (finished) return
+      finished = true
+
+      torrentCount -= 1
+      if (torrentCount === 0 && !watcher) {
+        gracefulExit()
+      }
+    })
+  }
 
-  const torrent = client.add(torrentId, {
-    path: argv.out,
-    announce: argv.announce
+  if (session) {
+    session.track(torrent, { keepSeeding })
+  }
+
+  fileSelections.set(torrent, {
+    get: () => selection || torrent.files.map((file, i) => i),
+    set: indexes => applySelection(indexes)
   })
+  torrent.once('close', () => fileSelections.delete(torrent))
+
+  if (listFiles || select !== undefined || argv.exclude) {
+    torrent.once('metadata', () => {
+      if (listFiles) {
+        return torrent.deselect(0, torrent.pieces.length - 1)
+      }
 
-  if ('select' in argv) {
-    torrent.so = argv.select.toString()
+      try {
+        applySelection(selectFiles(torrent.files, select, argv.exclude))
+      } catch (err) {
+        errorAndExit(err)
+      }
+    })
   }
 
   if (argv.verbose) {
@@ -311,7 +671,7 @@ async function runDownload (torrentId) {
   }
 
   torrent.on('infoHash', () => {
-    if (argv.quiet) return
+    if (argv.quiet || tui) return
 
     updateMetadata()
     torrent.on('wire', updateMetadata)
@@ -330,9 +690,46 @@ async function runDownload (torrentId) {
     })
   })
 
-  torrent.on('done', () => {
-    torrentCount -= 1
-    if (!argv.quiet) {
+  torrent.on('done', onDone)
+
+  // Only download the given files. Note that `done` is only emitted by the torrent
+  // once every file is downloaded, so the selected files are tracked separately.
+  function applySelection (indexes) {
+    const current = selection = indexes
+
+    torrent.deselect(0, torrent.pieces.length - 1)
+    indexes.forEach(i => torrent.files[i].select())
+    if (streamBuffers.has(torrent)) bufferFiles(torrent, indexes)
+
+    if (session) {
+      session.track(torrent, { select: indexes })
+    }
+
+    const pending = indexes.map(i => torrent.files[i]).filter(file => !file.done)
+    if (pending.length === 0) return onDone()
+
+    let remaining = pending.length
+    pending.forEach(file => file.once('done', () => {
+      if (selection !== current) return // selection was changed since
+      remaining -= 1
+      if (remaining === 0) onDone()
+    }))
+  }
+
+  function onDone () {
+    if (finished) return
+    finished = true
+
+    fileSelections.delete(torrent)
+    finish()
+    emitEvent('done', {
+      infoHash: torrent.infoHash,
+      name: torrent.name,
+      downloaded: torrent.downloaded,
+      length: torrent.length,
+      runtime: getRuntime()
+    })
+    if (!argv.quiet && !tui) {
       const numActiveWires = torrent.wires.reduce((num, wire) => num + (wire.downloaded > 0), 0)
 
       console.log(chalk`\ntorrent downloaded {green successfully} from {bold ${numActiveWires}/${torrent.numPeers}} {green peers} in {bold ${getRuntime()}s}!`)
@@ -343,32 +740,25 @@ async function runDownload (torrentId) {
         .stderr.on('data', (err) => fatalError(err))
         .unref()
     }
-    if (!playerName && !serving && argv.out && !argv['keep-seeding']) {
+    if (!playerName && !serving && argv.out && SeedLimiter.hasLimits(seedLimits)) {
+      return seedUntilLimit(torrent)
+    }
+
+    torrentCount -= 1
+    if (!playerName && !serving && argv.out && !keepSeeding) {
       torrent.destroy()
 
-      if (torrentCount === 0) {
+      if (torrentCount === 0 && !watcher) {
         gracefulExit()
       }
     }
-  })
-
-  // Start http server
-  const instance = client.createServer({}, 'node')
-  server = instance.server
-
-  server.listen(argv.port)
-    .on('error', err => {
-      if (err.code === 'EADDRINUSE' || err.code === 'EACCES') {
-        // If port is taken, pick one a free one automatically
-        server.close()
-        const serv = server.listen(0)
-        argv.port = server.address().port
-        return serv
-      } else return fatalError(err)
-    })
+  }
 
-  server.once('listening', initServer)
-  server.once('connection', () => (serving = true))
+  if (getServer().listening) {
+    initServer()
+  } else {
+    server.once('listening', initServer)
+  }
 
   function initServer () {
     if (torrent.ready) {
@@ -379,35 +769,23 @@ async function runDownload (torrentId) {
   }
 
   async function onReady () {
-    if (argv.select && typeof argv.select !== 'number') {
-      console.log('Select a file to download:')
+    if (listFiles) {
+      console.log('Select files to download:')
 
       torrent.files.forEach((file, i) => console.log(
         chalk`{bold.magenta %s} %s {blue (%s)}`,
         i.toString().padEnd(2), file.name, prettierBytes(file.length)
       ))
 
-      console.log('\nTo select a specific file, re-run `webtorrent` with "--select [index]"')
-      console.log('Example: webtorrent download "magnet:..." --select 0')
+      console.log('\nTo select files, re-run `webtorrent` with "--select [indexes or globs]"')
+      console.log('Example: webtorrent download "magnet:..." --select 0,2,5-9')
+      console.log('Example: webtorrent download "magnet:..." --select "**/*.mkv" --exclude "*sample*"')
 
       return gracefulExit()
     }
 
     if (argv['interactive-select'] && torrent.files.length > 1) {
-      const paths = torrent.files.map(d => d.path)
-      const answers = await inquirer.prompt([{
-        type: 'list',
-        name: 'file',
-        message: 'Choose one file',
-        choices: Array.from(torrent.files)
-          .sort((file1, file2) => file1.path.localeCompare(file2.path))
-          .map(function (file, i) {
-            return {
-              name: file.name + ' : ' + prettierBytes(file.length),
-              value: paths.indexOf(file.path)
-            }
-          })
-      }])
+      const indexes = await pickFiles(torrent.files, { checked: selection || [] })
         .catch(err => {
           if (err.isTtyError) {
             return errorAndExit('Could not render interactive selection mode in this terminal.')
@@ -415,68 +793,99 @@ async function runDownload (torrentId) {
             return errorAndExit('Could not start interactive selection mode: ' + err)
           }
         })
-      argv.select = answers.file
+      applySelection(indexes)
     }
 
-    // if no index specified, use largest file
-    const index = (typeof argv.select === 'number')
-      ? argv.select
-      : torrent.files.indexOf(torrent.files.reduce((a, b) => a.length > b.length ? a : b))
-
-    if (!torrent.files[index]) {
-      return errorAndExit(`There's no file that maps to index ${index}`)
-    }
+    // if no files selected, use largest file
+    const indexes = selection ||
+      [torrent.files.indexOf(torrent.files.reduce((a, b) => a.length > b.length ? a : b))]
 
-    onSelection(index)
+    onSelection(indexes)
   }
 
-  async function onSelection (index) {
-    href = (argv.airplay || argv.chromecast || argv.xbmc || argv.dlna)
-      ? `http://${networkAddress()}:${server.address().port}`
-      : `http://localhost:${server.address().port}`
+  async function onSelection (indexes) {
+    let index = indexes[0]
+    const remote = !!(argv.airplay || argv.chromecast || argv.xbmc || argv.dlna)
+    const fileHref = file => serverUrl(server.address().port, file.streamURL, remote)
+    href = serverUrl(server.address().port, '/', remote)
     let allHrefs = []
-    if (argv.playlist && (argv.mpv || argv.mplayer || argv.vlc || argv.smplayer)) {
-      // set the selected to the first file if not specified
-      if (typeof argv.select !== 'number') {
-        index = 0
+
+    if (argv.playlistOut) {
+      writePlaylist()
+    }
+
+    // several selected files are always played as a playlist
+    const playlist = !!((argv.playlist || indexes.length > 1) && localPlayer && localPlayer.playlist)
+    if (playlist) {
+      if (indexes.length > 1) {
+        // play the selected files only
+        allHrefs = indexes.map(i => fileHref(torrent.files[i]))
+      } else {
+        // set the selected to the first file if not specified
+        if (!selection) {
+          index = 0
+        }
+        torrent.files.forEach(file => allHrefs.push(fileHref(file)))
+        // set the first file to the selected index
+        allHrefs = allHrefs.slice(index, allHrefs.length).concat(allHrefs.slice(0, index))
       }
-      torrent.files.forEach((file, i) => allHrefs.push(new URL(href + file.streamURL).toString()))
-      // set the first file to the selected index
-      allHrefs = allHrefs.slice(index, allHrefs.length).concat(allHrefs.slice(0, index))
     } else {
-      href = new URL(href + torrent.files[index].streamURL).toString()
+      href = fileHref(torrent.files[index])
     }
 
+    if (argv.hls && isMediaFile(torrent.files[index].name)) {
+      hlsHref = serverUrl(server.address().port, hlsPath(torrent, torrent.files[index]), true)
+    }
+
+    // Subtitles that come with the video in the torrent, unless a file is given with --subtitles
+    const torrentSubtitles = argv.subtitles || !playerName
+      ? []
+      : findSubtitles(torrent.files, torrent.files[index], { langs: subtitleLangs })
+    const subtitleHrefs = torrentSubtitles.map(subtitle => fileHref(subtitle.file))
+    // The WebVTT versions, for players that need the subtitles shifted
+    const vttHrefs = torrentSubtitles.map(subtitle => serverUrl(server.address().port, subtitlesPath(torrent, subtitle.file), remote))
+
     if (playerName) {
       torrent.files[index].select()
     }
 
+    bufferFiles(torrent, indexes)
+
     if (argv.stdout) {
-      torrent.files[index].createReadStream().pipe(process.stdout)
+      const stream = torrent.files[index].createReadStream()
+      stream.pipe(process.stdout)
+      if (streamBuffers.has(torrent)) streamBuffers.get(torrent).follow(torrent.files[index], stream)
     }
 
-    if (argv.vlc) {
-      vlcCommand((err, vlcCmd) => {
-        if (err) {
-          return fatalError(err)
-        }
-        playerArgs.vlc[0] = vlcCmd
-        argv.playlist ? openPlayer(playerArgs.vlc.concat(allHrefs)) : openPlayer(playerArgs.vlc.concat(JSON.stringify(href)))
+    if (localPlayer) {
+      openPlayer(playlist ? allHrefs : [href])
+    }
+
+    async function openPlayer (urls) {
+      // Local players read the subtitles as they are, unless they need to be shifted
+      const subtitles = argv.subtitleOffset
+        ? (argv.subtitles ? await listenSubtitles() : vttHrefs[0])
+        : argv.subtitles || subtitleHrefs[0]
+
+      const { command, args, open: url } = playerCommand(localPlayer, {
+        command: localPlayer.find ? await localPlayer.find() : localPlayer.command,
+        urls,
+        subtitles,
+        onTop: !argv.notOnTop,
+        pip: argv.pip,
+        debug: !!process.env.DEBUG,
+        option: typeof argv[playerName] === 'string' ? argv[playerName] : undefined,
+        extraArgs: argv.playerArgs ? argv.playerArgs.split(' ').filter(Boolean) : []
       })
-    } else if (argv.iina) {
-      open(`iina://weblink?url=${href}`, { wait: true }).then(playerExit)
-    } else if (argv.mplayer) {
-      argv.playlist ? openPlayer(playerArgs.mplayer.concat(allHrefs)) : openPlayer(playerArgs.mplayer.concat(JSON.stringify(href)))
-    } else if (argv.mpv) {
-      argv.playlist ? openPlayer(playerArgs.mpv.concat(allHrefs)) : openPlayer(playerArgs.mpv.concat(JSON.stringify(href)))
-    } else if (argv.omx) {
-      openPlayer(playerArgs.omx.concat(JSON.stringify(href)))
-    } else if (argv.smplayer) {
-      argv.playlist ? openPlayer(playerArgs.smplayer.concat(allHrefs)) : openPlayer(playerArgs.smplayer.concat(JSON.stringify(href)))
-    }
-
-    function openPlayer (args) {
-      cp.spawn(JSON.stringify(args[0]), args.slice(1), { stdio: 'ignore', shell: true })
+
+      if (url) {
+        return open(url, { wait: true }).then(playerExit)
+      }
+      if (!command) {
+        return fatalError(new Error(`${localPlayer.name} not found`))
+      }
+
+      cp.spawn(command, args, { stdio: 'ignore' })
         .on('error', (err) => {
           if (err) {
             const isMpvFalseError = playerName === 'mpv' && err.code === 4
@@ -496,78 +905,173 @@ async function runDownload (torrentId) {
       }
     }
 
-    if (argv.airplay) {
-      const airplay = (await import('airplay-js')).default
+    const castProtocols = Object.keys(CAST_PROTOCOLS).filter(protocol => argv[protocol])
+    if (castProtocols.length > 0) {
+      startCasting(castProtocols, await castItems())
+    }
 
-      airplay.createBrowser()
-        .on('deviceOn', device => device.play(href, 0, () => { }))
-        .start()
+    // The selected files, or with --playlist the media files from the selected one on
+    async function castItems () {
+      const start = selection ? indexes[0] : 0
+      const castIndexes = indexes.length > 1
+        ? indexes
+        : argv.playlist
+          ? torrent.files.map((file, i) => (start + i) % torrent.files.length).filter(i => i === start || isMediaFile(torrent.files[i].name))
+          : [indexes[0]]
+
+      return Promise.all(castIndexes.map(async (i, n) => {
+        const file = torrent.files[i]
+        // Cast devices only play WebVTT, the --subtitles file goes with the first file
+        const subtitles = argv.subtitles
+          ? (n === 0 ? [await listenSubtitles()] : [])
+          : findSubtitles(torrent.files, file, { langs: subtitleLangs })
+            .map(subtitle => serverUrl(server.address().port, subtitlesPath(torrent, subtitle.file), remote))
+        return { url: fileHref(file), title: `WebTorrent - ${file.name}`, type: mime.getType(file.name), subtitles }
+      }))
     }
 
-    if (argv.chromecast) {
-      const chromecasts = (await import('chromecasts')).default()
+    drawTorrent(torrent)
+  }
+}
 
-      const opts = {
-        title: `WebTorrent - ${torrent.files[index].name}`
-      }
+// --sequential and --stream-buffer for the files of `indexes`. webtorrent downloads the
+// pieces in order already, these add the preloads and the window of the buffer.
+function bufferFiles (torrent, indexes) {
+  if (!argv.sequential && !argv.streamBuffer) return
+
+  let buffer = streamBuffers.get(torrent)
+  if (!buffer) {
+    buffer = new StreamBuffer(torrent, { size: (argv.streamBuffer || 0) * 1000 * 1000 })
+    streamBuffers.set(torrent, buffer)
+    torrent.once('close', () => {
+      buffer.destroy()
+      streamBuffers.delete(torrent)
+    })
+  }
+  buffer.setFiles(indexes.map(i => torrent.files[i]))
+}
 
-      if (argv.subtitles) {
-        subtitlesServer.listen(0)
-        opts.subtitles = [`http://${networkAddress()}:${subtitlesServer.address().port}/${encodeURIComponent(path.basename(argv.subtitles))}`]
-        opts.autoSubtitles = true
-      }
+// All torrents are served by one http server
+function getServer () {
+  if (server) return server
 
-      chromecasts.on('update', player => {
-        if (
-          // If there are no named chromecasts supplied, play on all devices
-          argv.chromecast === true ||
-          // If there are named chromecasts, check if this is one of them
-          [].concat(argv.chromecast).find(name => player.name.toLowerCase().includes(name.toLowerCase()))
-        ) {
-          player.play(href, opts)
-
-          player.on('error', err => {
-            err.message = `Chromecast: ${err.message}`
-            return errorAndExit(err)
-          })
-        }
-      })
-    }
+  serverInstance = getClient().createServer({}, 'node')
+  // webtorrent only serves http, over https its requests go through a server of our own
+  server = tlsOptions ? https.createServer(tlsOptions) : serverInstance.server
 
-    if (argv.xbmc) {
-      const xbmc = (await import('nodebmc')).default
+  const internalRoute = createInternalRoute()
+  const handlers = [
+    createPlaylistHandler(client, { hrefOf: requestHref, selectedOf: selectedFiles }),
+    createSubtitlesHandler(client, { offset: argv.subtitleOffset })
+  ]
+  if (argv['web-ui']) {
+    handlers.push(createWebUiHandler(client, { onAdd: addTorrent, speedLimits, fileSelections, auth }))
+  }
+  if (argv['upnp-server']) {
+    // Renderers remember media servers by their UUID, so it stays the same on this machine
+    const uuid = deviceUuid(`${os.hostname()}:${argv.port}`)
+    handlers.push(createUpnpHandler(client, { uuid, name: upnpName(), hrefOf: requestHref }))
+    server.once('listening', () => startSsdp(uuid))
+  }
+  if (argv.hls) {
+    // ffmpeg reads the files through the server like a local player, on the internal route
+    // so the `--auth` credentials are not in its arguments
+    const inputOf = (torrent, file) => `${tlsOptions ? 'https' : 'http'}://${serverHost(false)}:${server.address().port}${internalRoute.pathname(file.streamURL)}`
+    hlsHandler = createHlsHandler(client, { ffmpeg: ffmpegPath, inputOf })
+    handlers.push(hlsHandler)
+  }
 
-      new xbmc.Browser()
-        .on('deviceOn', device => device.play(href, () => { }))
-    }
+  const wrapRequest = serverInstance.wrapRequest.bind(serverInstance)
+  const handleRequest = (req, res) => {
+    if (internalRoute.handles(req)) return wrapRequest(req, res)
+    if (!checkAccess(req, res)) return
+    // Requests that are not for the playlist, the subtitles, the dashboard, the media server or HLS go on to the file streams
+    const handler = handlers.find(handler => handler.handles(req))
+    if (handler) handler(req, res)
+    else wrapRequest(req, res)
+  }
+  if (tlsOptions) server.on('request', handleRequest)
+  else serverInstance.wrapRequest = handleRequest
+
+  server.listen(argv.port, argv.bind)
+    .on('error', err => {
+      if (err.code === 'EADDRINUSE' || err.code === 'EACCES') {
+        // If port is taken, pick one a free one automatically
+        server.close()
+        const serv = server.listen(0, argv.bind)
+        argv.port = server.address().port
+        return serv
+      } else return fatalError(err)
+    })
 
-    if (argv.dlna) {
-      const dlnacasts = (await import('dlnacasts')).default()
+  server.once('connection', () => (serving = true))
+  return server
+}
 
-      dlnacasts.on('update', player => {
-        const opts = {
-          title: `WebTorrent - ${torrent.files[index].name}`,
-          type: mime.getType(torrent.files[index].name)
-        }
+// Announces the media server of `--upnp-server` on the network
+function startSsdp (uuid) {
+  ssdpServer = new SsdpServer({
+    uuid,
+    location: serverUrl(server.address().port, DESCRIPTION_PATH, true)
+  })
+  ssdpServer.on('warning', handleWarning)
+  ssdpServer.on('error', err => {
+    handleWarning(new Error(`UPnP media server: ${err.message}`))
+    ssdpServer.close()
+  })
+  ssdpServer.start()
+}
 
-        if (argv.subtitles) {
-          subtitlesServer.listen(0, () => {
-            opts.subtitles = [
-              `http://${networkAddress()}:${subtitlesServer.address().port}/${encodeURIComponent(path.basename(argv.subtitles))}`
-            ]
-            play()
-          })
-        } else {
-          play()
-        }
+function upnpName () {
+  return `WebTorrent on ${os.hostname()}`
+}
 
-        function play () {
-          player.play(href, opts)
+// Adds a torrent that is controlled through the control API or the web UI. It keeps
+// seeding until it is removed.
+function addTorrent (torrentId, opts = {}) {
+  return new Promise((resolve, reject) => {
+    const torrent = getClient().add(torrentId, {
+      path: opts.path || argv.out || process.cwd(),
+      announce: argv.announce,
+      paused: opts.paused,
+      bitfield: opts.bitfield
+    })
+    let selected = null
+
+    if (session) session.track(torrent, { keepSeeding: true })
+
+    fileSelections.set(torrent, {
+      get: () => selected || torrent.files.map((file, i) => i),
+      set: indexes => {
+        selected = indexes
+        torrent.deselect(0, torrent.pieces.length - 1)
+        indexes.forEach(i => torrent.files[i].select())
+        if (session) session.track(torrent, { select: indexes })
+      }
+    })
+    torrent.once('close', () => fileSelections.delete(torrent))
+
+    if (opts.select !== undefined && opts.select !== null) {
+      torrent.once('metadata', () => {
+        try {
+          fileSelections.get(torrent).set(selectFiles(torrent.files, opts.select))
+        } catch (err) {
+          handleWarning(err)
         }
       })
     }
-    drawTorrent(torrent)
-  }
+
+    torrent.once('error', reject)
+    torrent.once('infoHash', () => {
+      torrent.removeListener('error', reject)
+      // Errors of a single torrent must not take the whole client down
+      torrent.on('error', handleWarning)
+      if (argv.verbose) torrent.on('warning', handleWarning)
+      if (tui) tui.add(torrent)
+
+      resolve(torrent)
+    })
+  })
 }
 
 function runDownloadMeta (torrentId) {
@@ -575,16 +1079,7 @@ function runDownloadMeta (torrentId) {
     argv.out = process.cwd()
   }
 
-  client = new WebTorrent({
-    blocklist: argv.blocklist,
-    torrentPort: argv['torrent-port'],
-    dhtPort: argv['dht-port'],
-    downloadLimit: argv.downloadLimit,
-    uploadLimit: argv.uploadLimit
-  })
-  client.on('error', fatalError)
-
-  const torrent = client.add(torrentId, {
+  const torrent = getClient().add(torrentId, {
     store: MemoryChunkStore,
     announce: argv.announce
   })
@@ -592,7 +1087,7 @@ function runDownloadMeta (torrentId) {
   torrent.on('infoHash', function () {
     const torrentFilePath = `${argv.out}/${this.infoHash}.torrent`
 
-    if (argv.quiet) {
+    if (argv.quiet || tui) {
       return
     }
 
@@ -625,39 +1120,215 @@ function runSeed (input) {
     return
   }
 
-  client = new WebTorrent({
-    blocklist: argv.blocklist,
-    torrentPort: argv['torrent-port'],
-    dhtPort: argv['dht-port'],
-    downloadLimit: argv.downloadLimit,
-    uploadLimit: argv.uploadLimit
-  })
-
-  client.on('error', fatalError)
-
-  client.seed(input, {
+  const torrent = getClient().seed(input, {
     announce: argv.announce
   }, torrent => {
-    if (argv.quiet) {
+    if (argv.quiet && !argv.json) {
       console.log(torrent.magnetURI)
     }
+    emitEvent('seeding', { infoHash: torrent.infoHash, name: torrent.name, magnetURI: torrent.magnetURI })
+
+    if (SeedLimiter.hasLimits(seedLimits)) {
+      seedUntilLimit(torrent)
+    }
 
     drawTorrent(torrent)
   })
+
+  reportTorrent(torrent)
+
+  if (session) {
+    session.track(torrent, { keepSeeding: true })
+  }
+}
+
+// Keeps seeding until `--seed-ratio`, `--seed-time` or `--seed-idle` is reached, then
+// removes the torrent and exits once no torrents remain.
+function seedUntilLimit (torrent) {
+  const limiter = new SeedLimiter(torrent, seedLimits, {
+    uploaded: () => session ? session.totals(torrent).uploaded : torrent.uploaded
+  })
+  seedLimiters.set(torrent, limiter)
+
+  torrent.once('close', () => {
+    limiter.stop()
+    seedLimiters.delete(torrent)
+  })
+
+  limiter.start(reason => {
+    const { ratio } = limiter.status()
+    emitEvent('seedLimit', { infoHash: torrent.infoHash, name: torrent.name, reason, ratio })
+    if (tui) {
+      tui.showMessage(`Seed ${reason} limit reached, stopped seeding ${torrent.name}`)
+    } else if (!argv.quiet) {
+      console.log(chalk`\n{green Seed ${reason} limit reached, stopped seeding} {bold ${torrent.name}}`)
+    }
+
+    torrent.destroy()
+    torrentCount -= 1
+    if (torrentCount === 0 && !watcher) {
+      gracefulExit()
+    }
+  })
+}
+
+function runWatch (dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    return errorAndExit(`${dir} is not a folder`)
+  }
+
+  // Several torrents are downloaded at once, so there is no UI for a single one, but the
+  // --tui shows them all
+  if (!argv.tui) enableQuiet()
+
+  const queue = new Queue({ maxActive: argv['max-active'], order: argv['queue-order'] })
+
+  watcher = new FolderWatcher(dir)
+    .on('file', onFile)
+    .on('error', fatalError)
+    .start()
+
+  report('watching', dir)
+
+  async function onFile (file) {
+    let torrentId
+    try {
+      const data = await fs.promises.readFile(file)
+      torrentId = path.extname(file).toLowerCase() === '.magnet'
+        ? data.toString().split(/\r?\n/).map(line => line.trim()).find(Boolean)
+        : data
+      parseTorrent(torrentId)
+    } catch (err) {
+      report('error', file, err)
+      return markFile(file, 'error').catch(handleWarning)
+    }
+
+    let added
+    try {
+      added = await markFile(file, 'added')
+    } catch (err) {
+      return report('error', file, err)
+    }
+    report('added', file)
+
+    queue.push(done => runDownload(torrentId, {
+      onFinish: err => {
+        done()
+        report(err ? 'error' : 'done', file, err)
+        markFile(added, err ? 'error' : 'done').catch(handleWarning)
+      }
+    }))
+  }
+
+  function report (state, file, err) {
+    if (argv.json) {
+      return emitEvent('watch', { state, file, error: err ? `${err.message || err}` : undefined })
+    }
+
+    const name = path.basename(file)
+    if (state === 'watching') console.log(chalk`{green Watching} {bold ${file}} {green for .torrent and .magnet files}`)
+    if (state === 'added') console.log(chalk`{green Added} ${name}`)
+    if (state === 'done') console.log(chalk`{green Done} ${name}`)
+    if (state === 'error') console.log(chalk`{red Failed} ${name}: ${err.message || err}`)
+  }
+}
+
+function runDaemon () {
+  getClient()
+
+  controlServer = createApiServer(client, { onAdd: addTorrent, speedLimits, fileSelections })
+
+  controlServer.listen(argv['daemon-port'], '127.0.0.1')
+    .on('error', err => {
+      if (err.code === 'EADDRINUSE') {
+        return errorAndExit(`Port ${argv['daemon-port']} is in use. Is another daemon already running?`)
+      }
+      return fatalError(err)
+    })
+    .once('listening', () => {
+      console.log(chalk`{green Daemon running, control API at} {bold http://127.0.0.1:${controlServer.address().port}/api}`)
+    })
+
+  if (argv.resume) {
+    readSession().forEach(({ torrentId, opts }) => addTorrent(torrentId, opts).catch(handleWarning))
+  }
+}
+
+async function runDaemonCommand (command, ids) {
+  const daemon = { port: argv['daemon-port'] }
+  let result
+
+  try {
+    if (command === 'add') {
+      result = []
+      for (const torrentId of ids) {
+        // Relative paths have to be resolved here, the daemon may run elsewhere
+        const isPath = !/^(magnet:|https?:)/.test(torrentId) && fs.existsSync(torrentId)
+        result.push(await apiRequest(daemon, 'POST', '/torrents', {
+          torrentId: isPath ? path.resolve(torrentId) : torrentId,
+          path: argv.out && path.resolve(argv.out)
+        }))
+      }
+    } else if (command === 'list') {
+      result = await apiRequest(daemon, 'GET', '/torrents')
+    } else if (command === 'remove') {
+      result = await apiRequest(daemon, 'DELETE', `/torrents/${ids}`)
+    } else if (command === 'alt-speed') {
+      result = await apiRequest(daemon, 'POST', '/speed', ids === 'toggle' ? {} : { alt: ids === 'on' })
+    } else {
+      result = await apiRequest(daemon, 'POST', `/torrents/${ids}/${command}`)
+    }
+  } catch (err) {
+    if (err.code === 'ECONNREFUSED') {
+      return errorAndExit(`Could not connect to the daemon on port ${daemon.port}. Start it with \`webtorrent daemon\`.`)
+    }
+    return errorAndExit(err)
+  }
+
+  if (argv.json) {
+    console.log(JSON.stringify(result))
+    return
+  }
+
+  if (command === 'remove') {
+    console.log(chalk`{green Removed} ${result.infoHash}`)
+    return
+  }
+
+  if (command === 'alt-speed') {
+    console.log(chalk`{green Alternative speed is} {bold ${result.alt ? 'on' : 'off'}} {green (${formatSpeedLimits(result)})}`)
+    return
+  }
+
+  const torrents = [].concat(result)
+  if (command === 'list' && torrents.length === 0) {
+    console.log('No torrents')
+  }
+
+  torrents.forEach(torrent => console.log(
+    chalk`{bold.magenta %s} %s {blue %s} %s`,
+    torrent.infoHash, getStatus(torrent).padEnd(11), `${Math.floor(torrent.progress * 100)}%`.padStart(4), torrent.name || ''
+  ))
+
+  function getStatus (torrent) {
+    if (torrent.paused) return 'paused'
+    if (!torrent.ready) return 'metadata'
+    return torrent.done ? 'seeding' : 'downloading'
+  }
 }
 
 function drawTorrent (torrent) {
+  if (argv.tui && !argv.quiet) {
+    return showTui(torrent)
+  }
+
   if (!argv.quiet) {
     console.clear()
     drawInterval = setInterval(draw, 1000)
     drawInterval.unref()
   }
 
-  let hotswaps = 0
-  torrent.on('hotswap', () => (hotswaps += 1))
-
-  let blockedPeers = 0
-  torrent.on('blockedPeer', () => (blockedPeers += 1))
+  const stats = torrentStats(torrent)
 
   function draw () {
     const unchoked = torrent.wires
@@ -692,11 +1363,8 @@ function drawTorrent (torrent) {
     if (argv['dht-port']) portInfo.push(chalk`{green DHT port:} ${argv['dht-port']}`)
     if (portInfo.length) line(portInfo.join(' '))
 
-    if (playerName) {
-      line(chalk`{green Streaming to:} {bold ${playerName}}  {green Server running at:} {bold ${href}}`)
-    } else if (server) {
-      line(chalk`{green Server running at:} {bold ${href}}`)
-    }
+    serverLines().forEach(text => line(text))
+    castLines().forEach(text => line(text))
 
     if (argv.out) {
       line(chalk`{green Downloading to:} {bold ${argv.out}}`)
@@ -713,10 +1381,13 @@ function drawTorrent (torrent) {
       }/${torrent.numPeers
       }}`)
 
+    limitLines(torrent).forEach(text => line(text))
+    bufferLines(torrent).forEach(text => line(text))
+
     if (argv.verbose) {
       line(chalk`{green Queued peers:} {bold ${torrent._numQueued
-        }}  {green Blocked peers:} {bold ${blockedPeers
-        }}  {green Hotswaps:} {bold ${hotswaps
+        }}  {green Blocked peers:} {bold ${stats.blockedPeers
+        }}  {green Hotswaps:} {bold ${stats.hotswaps
         }}`)
     }
 
@@ -819,42 +1490,302 @@ function drawTorrent (torrent) {
   }
 }
 
+// Newline-delimited JSON events of a torrent for `--json`
+function reportTorrent (torrent) {
+  if (argv.json) reportTorrentEvents(torrent, emitEvent)
+}
+
+function showTui (torrent) {
+  if (!tui) {
+    tui = new Tui({
+      speedLimits,
+      fileSelections,
+      status: torrent => [...serverLines(), ...castLines(), ...limitLines(torrent), ...bufferLines(torrent)]
+    }).start()
+    tui.on('quit', gracefulExit)
+  }
+  tui.add(torrent)
+}
+
+function closeTui () {
+  if (!tui) return
+  tui.close()
+  tui = null
+}
+
+// Casts `items` to the devices of `protocols` that match --cast-device, or the names given
+// to --chromecast. The keys control the devices unless the --tui has the keyboard.
+function startCasting (protocols, items) {
+  const castDevices = [].concat(argv.castDevice || [])
+  const chromecasts = argv.chromecast === true ? [] : [].concat(argv.chromecast || [])
+
+  castSession = new CastSession(items)
+  castSession.on('quit', gracefulExit)
+  // Like local players, casting ends the program once all files were played
+  castSession.on('end', () => {
+    if (argv.quit) gracefulExit()
+  })
+  castSession.on('error', errorAndExit)
+
+  protocols.forEach(protocol => {
+    browseDevices(protocol, device => {
+      if (!matchesDevice(device, castDevices)) return
+      if (protocol === 'chromecast' && !matchesDevice(device, chromecasts)) return
+      device.on('error', err => {
+        err.message = `${CAST_PROTOCOLS[protocol].name}: ${err.message}`
+        return errorAndExit(err)
+      })
+      castSession.add(device)
+    }).catch(fatalError)
+  })
+
+  if (!argv.tui && !argv.quiet) castSession.listenKeys()
+}
+
+function closeCastSession () {
+  if (!castSession) return
+  castSession.close()
+  castSession = null
+}
+
+// Cast lines of the UI
+function castLines () {
+  if (!castSession) return []
+
+  const { items, current, devices } = castSession
+  const lines = []
+  if (items.length > 1) {
+    lines.push(chalk`{green Casting:} {bold ${items[current].title}} (${current + 1}/${items.length})`)
+  }
+  if (devices.length === 0) {
+    lines.push(chalk`{green Casting to:} looking for devices...`)
+  }
+  devices.forEach(device => {
+    const { state, time, duration, volume } = device.status
+    const position = duration ? `${formatPosition(time)} / ${formatPosition(duration)}` : formatPosition(time)
+    lines.push(chalk`{green Casting to:} {bold ${device.name}} (${CAST_PROTOCOLS[device.protocol].name})  {green ${state}} ${position}${volume === null ? '' : chalk`  {green Volume:} {bold ${Math.round(volume * 100)}%}`}`)
+  })
+  if (castSession.message) lines.push(chalk.yellow(castSession.message))
+  if (castSession.stdin) lines.push(chalk.dim(CAST_KEYS.map(([keys, desc]) => `${keys} ${desc}`).join('  ')))
+  return lines
+}
+
+function formatPosition (seconds) {
+  return moment.utc(seconds * 1000).format(seconds >= 3600 ? 'H:mm:ss' : 'm:ss')
+}
+
+// Address of the http servers for players on this machine, or for other devices when `remote`
+function serverHost (remote) {
+  if (argv.bind && !isWildcard(argv.bind)) {
+    return net.isIPv6(argv.bind) ? `[${argv.bind}]` : argv.bind
+  }
+  return remote ? networkAddress() : 'localhost'
+}
+
+// URL of one of the http servers, with the `--auth` credentials included
+function serverUrl (port, pathname, remote) {
+  return addCredentials(`${tlsOptions ? 'https' : 'http'}://${serverHost(remote)}:${port}${pathname}`, auth).toString()
+}
+
+function isWildcard (address) {
+  return address === '0.0.0.0' || address === '::'
+}
+
+// URL of a file for the client of `req`, on the host it used to reach the server
+function requestHref (file, req) {
+  const host = req.headers.host || `${serverHost(true)}:${server.address().port}`
+  return addCredentials(`${tlsOptions ? 'https' : 'http'}://${host}${file.streamURL}`, auth).toString()
+}
+
+function selectedFiles (torrent) {
+  return fileSelections.has(torrent) ? fileSelections.get(torrent).get() : null
+}
+
+// Writes the media files of all torrents to `--playlist-out`
+function writePlaylist () {
+  const torrents = client.torrents
+  const entries = playlistEntries(torrents, {
+    hrefOf: file => serverUrl(server.address().port, file.streamURL, true),
+    selectedOf: selectedFiles
+  })
+
+  try {
+    fs.writeFileSync(argv.playlistOut, renderPlaylistFile(argv.playlistOut, entries, {
+      title: torrents.length === 1 ? torrents[0].name : 'WebTorrent'
+    }))
+  } catch (err) {
+    return errorAndExit(`Could not write playlist: ${err.message}`)
+  }
+}
+
+// Starts the --subtitles server once, resolves to the URL of the file
+function listenSubtitles () {
+  if (!subtitlesListening) {
+    subtitlesListening = new Promise(resolve => subtitlesServer.listen(0, argv.bind, resolve))
+      .then(() => serverUrl(subtitlesServer.address().port, subtitlesPathname(), true))
+  }
+  return subtitlesListening
+}
+
+function subtitlesPathname () {
+  return `/${encodeURIComponent(path.basename(argv.subtitles, path.extname(argv.subtitles)))}.vtt`
+}
+
+// Http server lines of the UI
+function serverLines () {
+  const lines = []
+
+  if (playerName) {
+    lines.push(chalk`{green Streaming to:} {bold ${playerName}}  {green Server running at:} {bold ${href}}`)
+  } else if (server) {
+    lines.push(chalk`{green Server running at:} {bold ${href}}`)
+  }
+
+  if (argv['web-ui'] && server && server.listening) {
+    lines.push(chalk`{green Dashboard at:} {bold ${serverUrl(server.address().port, '/', true)}}`)
+  }
+
+  if (ssdpServer) {
+    lines.push(chalk`{green UPnP media server:} {bold ${upnpName()}}`)
+  }
+
+  if (hlsHref) {
+    lines.push(chalk`{green HLS stream at:} {bold ${hlsHref}}`)
+  }
+
+  return lines
+}
+
+// Speed and seed limit lines of the UI
+function limitLines (torrent) {
+  const lines = []
+
+  if (speedLimits.alt.down !== undefined || speedLimits.alt.up !== undefined || speedLimits.rules.length > 0) {
+    const status = speedLimits.status()
+    const profile = status.profile === 'schedule' ? `schedule (${status.rule})` : status.profile
+    lines.push(chalk`{green Speed limits:} {bold ${profile}}  ${formatSpeedLimits(status)}`)
+  }
+
+  const limiter = seedLimiters.get(torrent)
+  if (limiter) {
+    const { ratio, timeLeft } = limiter.status()
+    const ratioLimit = seedLimits.ratio > 0 ? `/${seedLimits.ratio.toFixed(2)}` : ''
+    const seedTime = Number.isFinite(timeLeft) ? moment.duration(timeLeft).humanize() : 'N/A'
+
+    lines.push(chalk`{green Ratio:} {bold ${ratio.toFixed(2)}${ratioLimit}}  {green Seed time left:} {bold ${seedTime}}`)
+  }
+
+  return lines
+}
+
+// Fill level of the --stream-buffer of a torrent
+function bufferLines (torrent) {
+  const buffer = streamBuffers.get(torrent)
+  const status = buffer && buffer.status()
+  if (!status || status.size === 0) return []
+
+  const percent = Math.floor(100 * status.buffered / status.size)
+  return [chalk`{green Buffer:} {bold ${prettierBytes(status.buffered)}/${prettierBytes(status.size)}} (${percent}%)  {green Reading:} {bold ${status.file.name}}`]
+}
+
+function toggleAltSpeed () {
+  if (speedLimits) speedLimits.setAlt()
+}
+
+function formatSpeedLimits ({ down, up }) {
+  const format = limit => limit < 0 ? 'unlimited' : `${prettierBytes(limit)}/s`
+  return `down ${format(down)}, up ${format(up)}`
+}
+
+function emitEvent (event, data) {
+  if (!argv || !argv.json) return
+  process.stdout.write(formatEvent(event, data))
+}
+
 function handleWarning (err) {
+  if (tui) return tui.showMessage(`Warning: ${err.message || err}`)
   console.warn(`Warning: ${err.message || err}`)
 }
 
 function fatalError (err) {
-  console.log(chalk`{red Error:} ${err.message || err}`)
+  closeTui()
+  printError(err)
   process.exit(1)
 }
 
 function errorAndExit (err) {
-  console.log(chalk`{red Error:} ${err.message || err}`)
+  closeTui()
+  printError(err)
   expectedError = true
   process.exit(1)
 }
 
+function printError (err) {
+  if (argv && argv.json) {
+    emitEvent('error', { message: `${err.message || err}` })
+  } else if (tui) {
+    tui.showMessage(`Error: ${err.message || err}`)
+  } else {
+    console.log(chalk`{red Error:} ${err.message || err}`)
+  }
+}
+
 function gracefulExit () {
   if (gracefullyExiting) {
     return
   }
 
   gracefullyExiting = true
+  closeTui()
+  closeCastSession()
 
-  console.log(chalk`\n{green webtorrent is exiting...}`)
+  if (!argv.json) {
+    console.log(chalk`\n{green webtorrent is exiting...}`)
+  }
 
   process.removeListener('SIGINT', gracefulExit)
   process.removeListener('SIGTERM', gracefulExit)
+  process.removeListener('SIGUSR2', toggleAltSpeed)
+
+  if (watcher) {
+    watcher.close()
+  }
 
   if (!client) {
     return
   }
 
+  if (server && tlsOptions) {
+    // `client.destroy()` only closes the http server of webtorrent, which never listened
+    server.close()
+    server.closeAllConnections()
+    serverInstance.close()
+  }
+
   if (subtitlesServer) {
     subtitlesServer.close()
   }
 
+  if (controlServer) {
+    controlServer.close()
+  }
+
+  if (metricsServer) {
+    metricsServer.close()
+  }
+
+  if (ssdpServer) {
+    ssdpServer.close()
+  }
+
+  if (hlsHandler) {
+    hlsHandler.close()
+  }
+
   clearInterval(drawInterval)
+  clearInterval(sessionInterval)
+  speedLimits.stop()
+  saveSession()
 
   if (argv.onExit) {
     cp.spawn(argv.onExit[0], argv.onExit.slice(1), { shell: true })
@@ -875,6 +1806,122 @@ function gracefulExit () {
   })
 }
 
+function loadConfig () {
+  // The command line is parsed once before yargs runs, to know which config to load
+  const booleans = Object.entries(allOptions)
+    .filter(([key, option]) => option.type === 'boolean')
+    .flatMap(([key, option]) => [key].concat(option.alias || []))
+  const args = Parser(hideBin(process.argv), { boolean: booleans, string: ['config', 'profile'] })
+
+  // `webtorrent config` has to work even when the config file is broken
+  if (args._[0] === 'config') return
+
+  try {
+    const config = new Config(args.config, allOptions).load({ required: !!args.config })
+    yargs.config(config.values(args.profile))
+    players = createPlayers(config.players(), { source: config.file })
+  } catch (err) {
+    errorAndExit(err)
+  }
+}
+
+async function runPlayers () {
+  const found = await Promise.all([...players].map(async ([key, player]) => ({
+    key,
+    name: player.name,
+    path: await detectPlayer(player),
+    config: !!player.user
+  })))
+  const installed = found.filter(player => player.path)
+
+  if (argv.json) return console.log(JSON.stringify(installed))
+  if (installed.length === 0) return console.log('No players found, players can be added in the config file')
+
+  installed.forEach(player => {
+    console.log(chalk`{green ${player.key}} ${player.name}${player.config ? ' (config)' : ''}: ${player.path}`)
+  })
+}
+
+async function runDevices (protocol) {
+  const devices = await discoverDevices(protocol ? [protocol] : Object.keys(CAST_PROTOCOLS))
+
+  if (argv.json) {
+    console.log(JSON.stringify(devices.map(({ protocol, name, host }) => ({ protocol, name, host }))))
+  } else if (devices.length === 0) {
+    console.log('No devices found')
+  } else {
+    devices.forEach(device => {
+      console.log(chalk`{green ${device.protocol}} ${device.name}${device.host ? ` (${device.host})` : ''}`)
+    })
+  }
+  // Some device libraries keep looking for devices
+  process.exit(0)
+}
+
+function runConfig (action, key, value) {
+  const config = new Config(argv.config, allOptions)
+  const profile = argv.profile
+
+  try {
+    // `set` creates the file
+    config.load({ required: !!argv.config && action !== 'set' })
+
+    if (action === 'list') {
+      const values = config.values(profile)
+      if (argv.json) return console.log(JSON.stringify(values))
+
+      Object.entries(values).forEach(([name, value]) => console.log(chalk`{green ${name}} = ${JSON.stringify(value)}`))
+      if (!profile && config.profiles().length > 0) {
+        console.log(chalk`{green Profiles:} ${config.profiles().join(', ')}`)
+      }
+      return
+    }
+
+    if (!key) throw new Error(`Missing option name, e.g. \`webtorrent config ${action} port${action === 'set' ? ' 9000' : ''}\``)
+
+    if (action === 'get') {
+      const current = config.get(key, profile)
+      if (current === undefined) throw new Error(`"${key}" is not set in ${config.file}`)
+      return console.log(typeof current === 'string' ? current : JSON.stringify(current))
+    }
+
+    if (value === undefined) throw new Error(`Missing value, e.g. \`webtorrent config set ${key} <value>\``)
+    const stored = config.set(key, value, profile)
+    config.save()
+    console.log(formatSet(config.lookup(key).name, stored, profile))
+  } catch (err) {
+    return errorAndExit(err)
+  }
+}
+
+function readSession () {
+  try {
+    return session.read()
+  } catch (err) {
+    return errorAndExit(err)
+  }
+}
+
+function saveSession () {
+  if (!session || !client) return
+
+  try {
+    session.write(client.torrents)
+  } catch (err) {
+    handleWarning(err)
+  }
+}
+
+async function readInputFile (file) {
+  if (file !== '-') {
+    return fs.promises.readFile(file, 'utf-8')
+  }
+
+  const chunks = []
+  for await (const chunk of process.stdin) chunks.push(chunk)
+  return Buffer.concat(chunks).toString()
+}
+
 function enableQuiet () {
   argv.quiet = argv.q = true
 }
@@ -883,14 +1930,41 @@ function getRuntime () {
   return Math.floor((Date.now() - argv.startTime) / 1000)
 }
 
-function processInputs (inputs, fn) {
+async function processInputs (inputs, fn) {
+  inputs = (inputs || []).map(torrentId => ({ torrentId, opts: {}, fn }))
+
+  // yargs drops a lone `-` from the positional arguments, so look for it in the raw ones
+  const inputFiles = [].concat(argv['input-file'] || [])
+  if (hideBin(process.argv).includes('-')) inputFiles.push('-')
+
+  for (const file of new Set(inputFiles)) {
+    try {
+      const list = parseInputList(await readInputFile(file), {
+        source: file === '-' ? 'stdin' : file,
+        baseDir: argv.out || process.cwd()
+      })
+      inputs.push(...list.map(({ torrentId, opts }) => ({ torrentId, opts, fn })))
+    } catch (err) {
+      return errorAndExit(err)
+    }
+  }
+
+  // Restored torrents always resume downloading (or seeding) from their saved path
+  if (argv.resume) {
+    const restored = readSession().map(({ torrentId, opts }) => ({ torrentId, opts, fn: runDownload }))
+    if (restored.length === 0 && inputs.length === 0) {
+      return errorAndExit(`There are no torrents to resume in ${session.file}`)
+    }
+    inputs = restored.concat(inputs)
+  }
+
   // These arguments do not make sense when downloading multiple torrents, or
   // seeding multiple files/folders.
-  if (Array.isArray(inputs) && inputs.length !== 0) {
+  if (inputs.length !== 0) {
     if (inputs.length > 1) {
       const invalidArguments = [
         'airplay', 'chromecast', 'dlna', 'mplayer', 'mpv', 'omx', 'vlc', 'iina', 'xbmc',
-        'stdout', 'select', 'subtitles', 'smplayer'
+        'stdout', 'select', 'subtitles', 'smplayer', 'player', 'cast-device'
       ]
 
       invalidArguments.forEach(arg => {
@@ -901,9 +1975,20 @@ function processInputs (inputs, fn) {
         }
       })
       torrentCount = inputs.length
-      enableQuiet()
+      // The --tui shows all torrents, the plain UI only one
+      if (!argv.tui) enableQuiet()
     }
-    inputs.forEach(input => fn(input))
+
+    // Downloads beyond `--max-active` wait for a running one to finish
+    const queue = new Queue({ maxActive: argv['max-active'], order: argv['queue-order'] })
+    inputs.forEach(input => {
+      if (input.fn !== runDownload) {
+        return input.fn(input.torrentId, input.opts)
+      }
+      queue.push(done => runDownload(input.torrentId, { ...input.opts, onFinish: done }), {
+        priority: input.opts.priority
+      })
+    })
   } else {
     yargs.showHelp('log')
   }
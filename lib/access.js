@@ -0,0 +1,134 @@
+import crypto from 'crypto'
+import net from 'net'
+
+import { isLoopback } from './api.js'
+
+// Access control for the http servers: `--auth user:pass` (HTTP Basic), `--auth token`
+// (a random token per run, passed in the URL) and `--allow` (client address ranges).
+
+const TOKEN_COOKIE = 'webtorrent_token'
+
+function parseAuth (value) {
+  if (value === 'token') {
+    return { type: 'token', token: crypto.randomBytes(16).toString('hex') }
+  }
+
+  const colon = value.indexOf(':')
+  if (colon <= 0) throw new Error(`Invalid --auth "${value}", use user:pass or token`)
+  return { type: 'basic', user: value.slice(0, colon), pass: value.slice(colon + 1) }
+}
+
+// Address ranges like `192.168.1.0/24`, `10.0.0.5` or `fd00::/8`, also comma separated
+function parseAllowList (list) {
+  const blockList = new net.BlockList()
+
+  ;[].concat(list).flatMap(item => String(item).split(',')).forEach(item => {
+    const [address, prefix, ...rest] = item.trim().split('/')
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4'
+    const maxPrefix = type === 'ipv6' ? 128 : 32
+    const bits = prefix === undefined ? maxPrefix : Number(prefix)
+
+    if (!net.isIP(address) || rest.length > 0 || !Number.isInteger(bits) || bits < 0 || bits > maxPrefix) {
+      throw new Error(`Invalid address range "${item}", use e.g. 192.168.1.0/24`)
+    }
+    blockList.addSubnet(address, bits, type)
+  })
+
+  return blockList
+}
+
+// Returns `check(req, res)`, which answers requests that are not allowed and returns false
+function createAccessCheck ({ auth, allow } = {}) {
+  return function check (req, res) {
+    if (allow && !isAllowed(allow, req.socket.remoteAddress)) {
+      res.writeHead(403, { 'Content-Type': 'text/plain' })
+      res.end('Forbidden\n')
+      return false
+    }
+
+    if (!auth) return true
+
+    if (auth.type === 'basic') {
+      const [scheme, encoded = ''] = (req.headers.authorization || '').split(' ')
+      const credentials = Buffer.from(encoded, 'base64').toString()
+      if (scheme.toLowerCase() === 'basic' && safeEqual(credentials, `${auth.user}:${auth.pass}`)) return true
+
+      res.writeHead(401, { 'Content-Type': 'text/plain', 'WWW-Authenticate': 'Basic realm="WebTorrent", charset="UTF-8"' })
+      res.end('Unauthorized\n')
+      return false
+    }
+
+    const query = new URL(req.url, 'http://localhost').searchParams.get('token')
+    if (query !== null && safeEqual(query, auth.token)) {
+      // Remember the token, so links of pages opened in a browser keep working
+      res.setHeader('Set-Cookie', `${TOKEN_COOKIE}=${auth.token}; Path=/; HttpOnly; SameSite=Strict`)
+      return true
+    }
+
+    const [scheme, bearer] = (req.headers.authorization || '').split(' ')
+    const cookie = getCookie(req, TOKEN_COOKIE)
+    if ((scheme.toLowerCase() === 'bearer' && safeEqual(bearer || '', auth.token)) ||
+      (cookie !== null && safeEqual(cookie, auth.token))) {
+      return true
+    }
+
+    res.writeHead(401, { 'Content-Type': 'text/plain' })
+    res.end('Unauthorized, add the token of this run to the URL\n')
+    return false
+  }
+}
+
+// Route to the file streams for programs webtorrent runs itself, like the ffmpeg of `--hls`,
+// so the `--auth` credentials stay out of their arguments. It has a random key of this run
+// in the path and only takes requests from this machine, which skip the access check.
+function createInternalRoute () {
+  const key = crypto.randomBytes(16).toString('hex')
+
+  return {
+    // The internal path of a file stream
+    pathname: pathname => `/internal/${key}${pathname}`,
+    // Takes the internal prefix off the URL of `req`, false for other requests
+    handles (req) {
+      const [, requestKey, pathname] = /^\/internal\/([^/]+)(\/.*)$/.exec(req.url) || []
+      const { remoteAddress, localAddress } = req.socket
+      if (!pathname || !safeEqual(requestKey, key)) return false
+      if (!isLoopback(remoteAddress) && remoteAddress !== localAddress) return false
+      req.url = pathname
+      return true
+    }
+  }
+}
+
+// Adds the credentials of `auth` to a URL of one of the servers
+function addCredentials (url, auth) {
+  url = new URL(url)
+  if (auth && auth.type === 'basic') {
+    url.username = auth.user
+    url.password = auth.pass
+  } else if (auth && auth.type === 'token') {
+    url.searchParams.set('token', auth.token)
+  }
+  return url
+}
+
+function isAllowed (blockList, address = '') {
+  // IPv4 clients of a dual stack server show up as IPv4-mapped IPv6 addresses
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)
+  if (mapped) return blockList.check(mapped[1], 'ipv4')
+  return blockList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4')
+}
+
+function getCookie (req, name) {
+  const cookie = (req.headers.cookie || '').split(';')
+    .map(pair => pair.trim().split('='))
+    .find(([key]) => key === name)
+  return cookie ? cookie.slice(1).join('=') : null
+}
+
+// Compares hashes so the time taken doesn't depend on where the strings differ
+function safeEqual (a, b) {
+  const hash = value => crypto.createHash('sha256').update(value).digest()
+  return crypto.timingSafeEqual(hash(a), hash(b))
+}
+
+export { addCredentials, createAccessCheck, createInternalRoute, parseAllowList, parseAuth }
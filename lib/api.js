@@ -0,0 +1,303 @@
+import http from 'http'
+
+import { selectFiles } from './select.js'
+
+// Local JSON control API used by `webtorrent daemon` and the `add`, `list`, `pause`,
+// `resume`, `remove` and `alt-speed` commands that talk to it, and by the `--web-ui`.
+
+const API_PREFIX = '/api'
+
+// Bodies of requests are small JSON documents, bigger ones are refused
+const MAX_BODY_LENGTH = 1024 * 1024
+
+// `selected` holds the indexes of the selected files, all files when not given
+function serializeTorrent (torrent, selected) {
+  return {
+    infoHash: torrent.infoHash,
+    name: torrent.name || null,
+    magnetURI: torrent.magnetURI || null,
+    path: torrent.path || null,
+    ready: torrent.ready,
+    paused: torrent.paused,
+    done: torrent.done,
+    progress: torrent.progress,
+    length: torrent.length || 0,
+    downloaded: torrent.downloaded,
+    uploaded: torrent.uploaded,
+    downloadSpeed: torrent.downloadSpeed,
+    uploadSpeed: torrent.uploadSpeed,
+    numPeers: torrent.numPeers,
+    timeRemaining: Number.isFinite(torrent.timeRemaining) ? torrent.timeRemaining : null,
+    files: (torrent.files || []).map((file, i) => ({
+      name: file.name,
+      path: file.path,
+      length: file.length,
+      downloaded: file.downloaded,
+      progress: file.progress,
+      selected: !selected || selected.includes(i)
+    }))
+  }
+}
+
+function serializeWire (wire, torrent) {
+  const numPieces = torrent.pieces ? torrent.pieces.length : 0
+  let pieces = 0
+  for (let i = 0; i < numPieces; i++) {
+    if (wire.peerPieces.get(i)) pieces++
+  }
+
+  return {
+    address: wire.remoteAddress ? `${wire.remoteAddress}:${wire.remotePort}` : null,
+    type: wire.type,
+    progress: numPieces ? pieces / numPieces : 0,
+    downloaded: wire.downloaded,
+    uploaded: wire.uploaded,
+    downloadSpeed: wire.downloadSpeed(),
+    uploadSpeed: wire.uploadSpeed(),
+    choked: wire.peerChoking
+  }
+}
+
+// Torrent ids that do not read a file or fetch a URL of the machine running the client
+function isRemoteTorrentId (torrentId) {
+  return typeof torrentId === 'string' &&
+    (/^magnet:\?/i.test(torrentId) || /^[0-9a-f]{40}$/i.test(torrentId) || /^[a-z2-7]{32}$/i.test(torrentId))
+}
+
+// Returns a `(req, res)` handler, or `false` from `handler.handles(req)` for URLs that
+// are not part of the API so it can share a server with other routes.
+//
+// `fileSelections` maps torrents to `{ get, set }` for the indexes of their selected files.
+//
+// Only `torrentId` and `select` of a new torrent are passed to `onAdd()`. With
+// `localControl`, it can be added `paused`, and clients on this machine can also set its
+// `path` and delete the data of a removed torrent. Without it, the torrent id has to be a
+// magnet URI or an info hash, not a path or a URL the client would read. `checkHost` only accepts requests for a
+// loopback host name, against DNS rebinding.
+function createApiHandler (client, { onAdd, speedLimits, fileSelections = new Map(), localControl = true, checkHost = true } = {}) {
+  const serialize = torrent => {
+    const selection = fileSelections.get(torrent)
+    return serializeTorrent(torrent, selection && torrent.files ? selection.get() : null)
+  }
+
+  const routes = [
+    ['GET', /^\/torrents$/, () => client.torrents.map(serialize)],
+    ['POST', /^\/torrents$/, async (match, body, query, req) => {
+      if (!body || !body.torrentId) throw httpError(400, 'Missing "torrentId"')
+      if (!localControl && !isRemoteTorrentId(body.torrentId)) {
+        throw httpError(400, '"torrentId" has to be a magnet URI or an info hash')
+      }
+      const opts = { select: body.select }
+      if (localControl) opts.paused = body.paused === true
+      if (localControl && isLoopback(req.socket.remoteAddress) && typeof body.path === 'string') opts.path = body.path
+      const torrent = await onAdd(body.torrentId, opts)
+      return serialize(torrent)
+    }],
+    ['GET', /^\/torrents\/([^/]+)$/, async match => serialize(await getTorrent(match[1]))],
+    ['GET', /^\/torrents\/([^/]+)\/peers$/, async match => {
+      const torrent = await getTorrent(match[1])
+      return torrent.wires.map(wire => serializeWire(wire, torrent))
+    }],
+    ['POST', /^\/torrents\/([^/]+)\/pause$/, async match => {
+      const torrent = await getTorrent(match[1])
+      torrent.pause()
+      return serialize(torrent)
+    }],
+    ['POST', /^\/torrents\/([^/]+)\/resume$/, async match => {
+      const torrent = await getTorrent(match[1])
+      torrent.resume()
+      return serialize(torrent)
+    }],
+    // `{ "select": [0, 2] }`, also takes the ranges and globs of `--select`
+    ['POST', /^\/torrents\/([^/]+)\/files$/, async (match, body) => {
+      const torrent = await getTorrent(match[1])
+      const selection = fileSelections.get(torrent)
+      if (!torrent.ready) throw httpError(409, 'The torrent has no metadata yet')
+      if (!selection) throw httpError(409, 'The files of this torrent can not be changed')
+      if (!body || body.select === undefined || body.select === null) throw httpError(400, 'Missing "select"')
+
+      let indexes
+      try {
+        indexes = selectFiles(torrent.files, body.select)
+      } catch (err) {
+        throw httpError(400, err.message)
+      }
+      selection.set(indexes)
+      return serialize(torrent)
+    }],
+    ['DELETE', /^\/torrents\/([^/]+)$/, async (match, body, query, req) => {
+      const torrent = await getTorrent(match[1])
+      const destroyStore = localControl && isLoopback(req.socket.remoteAddress) && query.get('destroyStore') === 'true'
+      await new Promise((resolve, reject) => {
+        client.remove(torrent, { destroyStore }, err => err ? reject(err) : resolve())
+      })
+      return { infoHash: torrent.infoHash, removed: true }
+    }],
+    ['GET', /^\/speed$/, () => getSpeedLimits().status()],
+    // `{ "alt": true }` turns alternative speed on, an empty body toggles it
+    ['POST', /^\/speed$/, (match, body) => {
+      const alt = body ? body.alt : undefined
+      if (alt !== undefined && typeof alt !== 'boolean') throw httpError(400, '"alt" must be a boolean')
+      return getSpeedLimits().setAlt(alt)
+    }]
+  ]
+
+  function getSpeedLimits () {
+    if (!speedLimits) throw httpError(404, 'Speed limits are not available')
+    return speedLimits
+  }
+
+  async function getTorrent (id) {
+    const torrent = await client.get(id)
+    if (!torrent) throw httpError(404, `No torrent with id ${id}`)
+    return torrent
+  }
+
+  function handles (req) {
+    const { pathname } = new URL(req.url, 'http://localhost')
+    return pathname === API_PREFIX || pathname.startsWith(`${API_PREFIX}/`)
+  }
+
+  async function handler (req, res) {
+    const url = new URL(req.url, 'http://localhost')
+    const pathname = url.pathname.slice(API_PREFIX.length)
+
+    try {
+      let match = null
+      const route = routes.find(([method, re]) => method === req.method && (match = re.exec(pathname)))
+      if (!route) throw httpError(404, `Cannot ${req.method} ${url.pathname}`)
+
+      checkRequest(req, { checkHost })
+      const body = await readBody(req)
+      const result = await route[2](match, body, url.searchParams, req)
+      sendJSON(res, req.method === 'POST' && pathname === '/torrents' ? 201 : 200, result)
+    } catch (err) {
+      sendJSON(res, err.statusCode || 500, { error: err.message })
+    }
+  }
+
+  handler.handles = handles
+  return handler
+}
+
+// Web pages can send simple requests to any address, e.g. a `text/plain` POST to the daemon
+// on 127.0.0.1, but not JSON without asking the API first, which it never allows. Requests
+// from pages of other origins and, with `checkHost`, for other host names are refused.
+function checkRequest (req, { checkHost }) {
+  const host = req.headers.host || ''
+  if (checkHost && !isLoopbackHost(host)) throw httpError(403, `Requests for ${host || 'no host'} are not allowed`)
+
+  const origin = req.headers.origin
+  if (origin !== undefined && originHost(origin) !== host.toLowerCase()) {
+    throw httpError(403, `Requests from ${origin} are not allowed`)
+  }
+
+  const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase()
+  if (req.method !== 'GET' && req.method !== 'HEAD' && type !== 'application/json') {
+    throw httpError(415, 'Requests must be sent as application/json')
+  }
+}
+
+function originHost (origin) {
+  try {
+    return new URL(origin).host.toLowerCase()
+  } catch (err) {
+    return null // `null` of sandboxed pages
+  }
+}
+
+function isLoopbackHost (host) {
+  let hostname
+  try {
+    hostname = new URL(`http://${host}`).hostname
+  } catch (err) {
+    return false
+  }
+  return hostname === 'localhost' || hostname === '[::1]' || /^127(\.\d{1,3}){3}$/.test(hostname)
+}
+
+function isLoopback (address = '') {
+  return address === '::1' || /^(::ffff:)?127\./.test(address)
+}
+
+function createApiServer (client, opts) {
+  const handler = createApiHandler(client, opts)
+  return http.createServer((req, res) => {
+    if (handler.handles(req)) return handler(req, res)
+    sendJSON(res, 404, { error: `Cannot ${req.method} ${req.url}` })
+  })
+}
+
+// Calls the API of a running daemon. Resolves with the decoded JSON response body.
+function apiRequest ({ host = '127.0.0.1', port }, method, pathname, body) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body)
+    const req = http.request({
+      host,
+      port,
+      method,
+      path: API_PREFIX + pathname,
+      headers: method === 'GET' ? {} : { 'Content-Type': 'application/json', 'Content-Length': payload ? Buffer.byteLength(payload) : 0 }
+    }, res => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => {
+        let data
+        try {
+          data = JSON.parse(Buffer.concat(chunks).toString())
+        } catch (err) {
+          return reject(new Error(`Invalid response from daemon: ${err.message}`))
+        }
+        if (res.statusCode >= 400) return reject(httpError(res.statusCode, data.error))
+        resolve(data)
+      })
+    })
+    req.on('error', reject)
+    req.end(payload)
+  })
+}
+
+// The JSON body of a request, or null without a body
+async function readBody (req) {
+  const text = await readText(req)
+  if (text === '') return null
+  try {
+    return JSON.parse(text)
+  } catch (err) {
+    throw httpError(400, `Invalid JSON body: ${err.message}`)
+  }
+}
+
+// The body of a request as text, bodies of more than `limit` bytes are refused
+function readText (req, { limit = MAX_BODY_LENGTH } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let length = 0
+    req.on('data', chunk => {
+      length += chunk.length
+      if (length <= limit) return chunks.push(chunk)
+      // The rest is read and dropped, so the client still gets the error
+      chunks.length = 0
+      reject(httpError(413, 'Request too large'))
+    })
+    req.on('error', reject)
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()))
+  })
+}
+
+function sendJSON (res, statusCode, data) {
+  const body = JSON.stringify(data)
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body)
+  })
+  res.end(body)
+}
+
+function httpError (statusCode, message) {
+  const err = new Error(message)
+  err.statusCode = statusCode
+  return err
+}
+
+export { apiRequest, createApiHandler, createApiServer, isLoopback, readText, serializeTorrent, serializeWire }
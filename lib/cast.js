@@ -0,0 +1,457 @@
+import EventEmitter from 'events'
+import http from 'http'
+import readline from 'readline'
+
+// Casting to Chromecast, DLNA, AirPlay and XBMC/Kodi devices. Each device library works
+// differently, so their devices are wrapped in a `CastDevice` with the same controls. A
+// `CastSession` plays a list of files on the devices and takes the keyboard controls.
+
+const PROTOCOLS = {
+  chromecast: { name: 'Chromecast', module: 'chromecasts' },
+  dlna: { name: 'DLNA', module: 'dlnacasts' },
+  airplay: { name: 'AirPlay', module: 'airplay-js' },
+  xbmc: { name: 'XBMC', module: 'nodebmc' }
+}
+
+const SEEK_STEP = 30
+const VOLUME_STEP = 0.1
+
+const KEYS = [
+  ['space', 'pause'],
+  ['← →', `seek ${SEEK_STEP}s`],
+  ['↑ ↓', 'volume'],
+  ['n', 'next'],
+  ['s', 'stop'],
+  ['q', 'quit']
+]
+
+// Emits `status` with `{ state, time, duration, volume }` while playing, where `state` is
+// `playing`, `paused`, `buffering` or `idle`, times are in seconds and the volume goes
+// from 0 to 1 (null if unknown). Emits `end` when the media finished playing.
+class CastDevice extends EventEmitter {
+  constructor (protocol, { name, host }, { pollInterval = 1000 } = {}) {
+    super()
+    this.protocol = protocol
+    this.name = name || host || 'Unknown'
+    this.host = host || null
+    this.pollInterval = pollInterval
+    this.status = { state: 'idle', time: 0, duration: null, volume: null }
+  }
+
+  // `item` is `{ url, title, type, subtitles }`
+  async play (item) {
+    this.unwatch()
+    this.started = false
+    await this._play(item)
+    this.watch()
+  }
+
+  async togglePause () {
+    if (this.status.state === 'paused') await this._resume()
+    else await this._pause()
+    await this.poll()
+  }
+
+  async seek (time) {
+    await this._seek(Math.max(0, Math.round(time)))
+    await this.poll()
+  }
+
+  async setVolume (volume) {
+    await this._setVolume(Math.min(1, Math.max(0, volume)))
+    await this.poll()
+  }
+
+  async stop () {
+    this.unwatch()
+    await this._stop()
+    this.status = { ...this.status, state: 'idle' }
+  }
+
+  watch () {
+    this.interval = setInterval(() => this.poll(), this.pollInterval)
+    this.interval.unref()
+  }
+
+  unwatch () {
+    clearInterval(this.interval)
+    this.interval = null
+  }
+
+  async poll () {
+    let status
+    try {
+      status = await this._status()
+    } catch (err) {
+      // Devices drop off the network now and then, the next poll tries again
+      return
+    }
+
+    this.status = {
+      ...this.status,
+      ...status,
+      duration: status.duration || this.status.duration
+    }
+
+    // Devices are idle for a moment before they start, so only the end of playback counts
+    if (status.state !== 'idle') {
+      this.started = true
+    } else if (this.started && this.interval) {
+      this.started = false
+      this.unwatch()
+      this.emit('end')
+    }
+    this.emit('status', this.status)
+  }
+
+  _resume () { return unsupported(this, 'pause') }
+  _pause () { return unsupported(this, 'pause') }
+  _seek () { return unsupported(this, 'seek') }
+  _setVolume () { return unsupported(this, 'change the volume') }
+}
+
+class ChromecastDevice extends CastDevice {
+  constructor (player, opts) {
+    super('chromecast', player, opts)
+    this.player = player
+    player.on('error', err => this.emit('error', err))
+  }
+
+  _play ({ url, title, type, subtitles = [] }) {
+    return call(cb => this.player.play(url, { title, type, subtitles, autoSubtitles: subtitles.length > 0 }, cb))
+  }
+
+  _resume () { return call(cb => this.player.resume(cb)) }
+  _pause () { return call(cb => this.player.pause(cb)) }
+  _seek (time) { return call(cb => this.player.seek(time, cb)) }
+  _setVolume (volume) { return call(cb => this.player.volume(volume, cb)) }
+  _stop () { return call(cb => this.player.stop(cb)) }
+
+  async _status () {
+    // There is no media status once the receiver is idle
+    const status = await call(cb => this.player.status(cb))
+    if (!status) return { state: 'idle' }
+    return {
+      state: (status.playerState || 'IDLE').toLowerCase(),
+      time: status.currentTime || 0,
+      duration: (status.media && status.media.duration) || null,
+      volume: status.volume ? (status.volume.muted ? 0 : status.volume.level) : null
+    }
+  }
+}
+
+class DlnaDevice extends CastDevice {
+  constructor (player, opts) {
+    super('dlna', player, opts)
+    this.player = player
+    player.on('error', err => this.emit('error', err))
+  }
+
+  _play ({ url, title, type, subtitles = [] }) {
+    return call(cb => this.player.play(url, { title, type, subtitles }, cb))
+  }
+
+  _resume () { return call(cb => this.player.resume(cb)) }
+  _pause () { return call(cb => this.player.pause(cb)) }
+  _seek (time) { return call(cb => this.player.seek(time, cb)) }
+  _setVolume (volume) { return call(cb => this.player.volume(volume, cb)) }
+  _stop () { return call(cb => this.player.stop(cb)) }
+
+  async _status () {
+    const client = this.player.client
+    const { CurrentTransportState: state } = await call(cb => client.getTransportInfo(cb))
+    const [time, duration, volume] = await Promise.all([
+      call(cb => client.getPosition(cb)),
+      call(cb => client.getDuration(cb)),
+      call(cb => client.getVolume(cb)).catch(() => null)
+    ])
+
+    const states = { PLAYING: 'playing', PAUSED_PLAYBACK: 'paused', TRANSITIONING: 'buffering' }
+    return {
+      state: states[state] || 'idle',
+      time,
+      duration: duration || null,
+      volume: volume === null ? null : volume / this.player.MAX_VOLUME
+    }
+  }
+}
+
+// airplay-js calls back with the result only, and without one on errors
+class AirplayDevice extends CastDevice {
+  constructor (device, opts) {
+    super('airplay', { name: device.name, host: device.host }, opts)
+    this.device = device
+  }
+
+  _play ({ url }) { return callAirplay(cb => this.device.play(url, 0, cb)) }
+  _resume () { return callAirplay(cb => this.device.rate(1, cb)) }
+  _pause () { return callAirplay(cb => this.device.rate(0, cb)) }
+  _seek (time) { return callAirplay(cb => this.device.scrub(time, cb)) }
+  _stop () { return callAirplay(cb => this.device.stop(cb)) }
+
+  async _status () {
+    const status = await callAirplay(cb => this.device.status(cb))
+    if (!status || !status.duration) return { state: this.started ? 'idle' : 'buffering' }
+    return {
+      state: status.rate > 0 ? 'playing' : status.readyToPlay === false ? 'buffering' : 'paused',
+      time: status.position || 0,
+      duration: status.duration
+    }
+  }
+}
+
+// nodebmc only finds the devices, the controls use the JSON-RPC API of Kodi
+class XbmcDevice extends CastDevice {
+  constructor (device, opts) {
+    super('xbmc', device, opts)
+    this.port = device.port
+  }
+
+  rpc (method, params) {
+    return jsonRpc(this.host, this.port, method, params)
+  }
+
+  async playerId () {
+    const [player] = await this.rpc('Player.GetActivePlayers')
+    return player ? player.playerid : null
+  }
+
+  _play ({ url }) { return this.rpc('Player.Open', { item: { file: url } }) }
+  async _resume () { return this.rpc('Player.PlayPause', { playerid: await this.playerId(), play: true }) }
+  async _pause () { return this.rpc('Player.PlayPause', { playerid: await this.playerId(), play: false }) }
+  _setVolume (volume) { return this.rpc('Application.SetVolume', { volume: Math.round(volume * 100) }) }
+
+  async _seek (time) {
+    const value = { time: { hours: Math.floor(time / 3600), minutes: Math.floor(time / 60) % 60, seconds: time % 60, milliseconds: 0 } }
+    return this.rpc('Player.Seek', { playerid: await this.playerId(), value })
+  }
+
+  async _stop () {
+    const playerid = await this.playerId()
+    if (playerid !== null) await this.rpc('Player.Stop', { playerid })
+  }
+
+  async _status () {
+    const playerid = await this.playerId()
+    if (playerid === null) return { state: 'idle' }
+
+    const [player, app] = await Promise.all([
+      this.rpc('Player.GetProperties', { playerid, properties: ['speed', 'time', 'totaltime'] }),
+      this.rpc('Application.GetProperties', { properties: ['volume'] })
+    ])
+    return {
+      state: player.speed === 0 ? 'paused' : 'playing',
+      time: seconds(player.time),
+      duration: seconds(player.totaltime) || null,
+      volume: app.volume / 100
+    }
+  }
+}
+
+// Looks for devices of a protocol on the network and calls `onDevice` with every
+// `CastDevice` found. Resolves to a function that stops looking.
+async function browseDevices (protocol, onDevice, opts) {
+  const lib = (await import(PROTOCOLS[protocol].module)).default
+
+  if (protocol === 'chromecast' || protocol === 'dlna') {
+    const list = lib()
+    const Device = protocol === 'chromecast' ? ChromecastDevice : DlnaDevice
+    list.on('update', player => onDevice(new Device(player, opts)))
+    return () => list.destroy()
+  }
+
+  if (protocol === 'airplay') {
+    const browser = lib.createBrowser()
+    browser.on('deviceOn', device => onDevice(new AirplayDevice(device, opts)))
+    browser.start()
+    return () => browser.stop()
+  }
+
+  const browser = new lib.Browser()
+  browser.on('deviceOn', device => onDevice(new XbmcDevice(device, opts)))
+  // nodebmc can't stop looking
+  return () => {}
+}
+
+// Resolves to the devices found within `timeout` ms
+async function discoverDevices (protocols = Object.keys(PROTOCOLS), { timeout = 5000 } = {}) {
+  const devices = []
+  const stops = await Promise.all(protocols.map(protocol => {
+    return browseDevices(protocol, device => {
+      if (!devices.some(d => d.protocol === device.protocol && d.name === device.name)) devices.push(device)
+    }).catch(() => () => {}) // Device libraries are optional dependencies
+  }))
+
+  await new Promise(resolve => setTimeout(resolve, timeout))
+  stops.forEach(stop => stop())
+  return devices
+}
+
+// Whether the device has one of the `names`, which match any part of the name
+function matchesDevice (device, names) {
+  if (names.length === 0) return true
+  return names.some(name => device.name.toLowerCase().includes(String(name).toLowerCase()))
+}
+
+// Plays `items` one after the other on all devices that are added. Emits `end` when all
+// items were played or casting was stopped, and `quit` when the user asks to exit.
+class CastSession extends EventEmitter {
+  constructor (items) {
+    super()
+    this.items = items
+    this.current = 0
+    this.devices = []
+    this.message = null
+    this._onKeypress = (str, key) => this.handleKey(key || { name: str })
+  }
+
+  get item () {
+    return this.items[this.current]
+  }
+
+  add (device) {
+    if (this.devices.includes(device)) return
+    this.devices.push(device)
+    device.on('end', () => this.onEnd(device))
+    this.play(device, this.item)
+  }
+
+  play (device, item) {
+    device.playing = true
+    return device.play(item).catch(err => this.emit('error', new Error(`${device.name}: ${err.message}`)))
+  }
+
+  // The next item plays once every device is done with the current one
+  onEnd (device) {
+    device.playing = false
+    if (this.devices.every(device => !device.playing)) this.next()
+  }
+
+  next () {
+    this.current += 1
+    if (this.current >= this.items.length) return this.emit('end')
+    this.devices.forEach(device => this.play(device, this.item))
+  }
+
+  togglePause () {
+    return this.control(device => device.togglePause())
+  }
+
+  seek (delta) {
+    return this.control(device => device.seek(device.status.time + delta))
+  }
+
+  changeVolume (delta) {
+    return this.control(device => {
+      if (device.status.volume === null) throw new Error('volume is unknown')
+      return device.setVolume(device.status.volume + delta)
+    })
+  }
+
+  async skip () {
+    await this.control(device => device.stop())
+    this.next()
+  }
+
+  async stop () {
+    await this.control(device => device.stop())
+    this.emit('end')
+  }
+
+  async control (action) {
+    this.message = null
+    await Promise.all(this.devices.map(async device => {
+      try {
+        await action(device)
+      } catch (err) {
+        this.message = `${device.name}: ${err.message}`
+      }
+    }))
+  }
+
+  handleKey (key) {
+    const name = key.name || key.sequence || ''
+    if ((key.ctrl && name === 'c') || name === 'q') return this.emit('quit')
+
+    switch (name) {
+      case 'space':
+      case 'p':
+        return this.togglePause()
+      case 'left':
+      case 'right':
+        return this.seek(name === 'left' ? -SEEK_STEP : SEEK_STEP)
+      case 'up':
+      case 'down':
+        return this.changeVolume(name === 'down' ? -VOLUME_STEP : VOLUME_STEP)
+      case 'n':
+        return this.skip()
+      case 's':
+        return this.stop()
+    }
+  }
+
+  // Takes the keys of `stdin` in raw mode, Control-C included
+  listenKeys (stdin = process.stdin) {
+    if (!stdin.isTTY) return
+    this.stdin = stdin
+    readline.emitKeypressEvents(stdin)
+    stdin.setRawMode(true)
+    stdin.on('keypress', this._onKeypress)
+    stdin.resume()
+  }
+
+  close () {
+    this.devices.forEach(device => device.unwatch())
+    if (!this.stdin) return
+    this.stdin.removeListener('keypress', this._onKeypress)
+    this.stdin.setRawMode(false)
+    this.stdin.pause()
+    this.stdin = null
+  }
+}
+
+function unsupported (device, action) {
+  return Promise.reject(new Error(`${PROTOCOLS[device.protocol].name} devices can't ${action}`))
+}
+
+function call (fn) {
+  return new Promise((resolve, reject) => fn((err, res) => err ? reject(err) : resolve(res)))
+}
+
+function callAirplay (fn) {
+  return new Promise(resolve => fn(res => resolve(res)))
+}
+
+function jsonRpc (host, port, method, params = {}) {
+  return new Promise((resolve, reject) => {
+    const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+    const req = http.request({
+      host,
+      port,
+      path: '/jsonrpc',
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+    }, res => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => {
+        try {
+          const { result, error } = JSON.parse(Buffer.concat(chunks).toString())
+          if (error) throw new Error(error.message)
+          resolve(result)
+        } catch (err) {
+          reject(err)
+        }
+      })
+    })
+    req.on('error', reject)
+    req.setTimeout(5000, () => req.destroy(new Error('Request timed out')))
+    req.end(body)
+  })
+}
+
+function seconds ({ hours = 0, minutes = 0, seconds = 0 } = {}) {
+  return hours * 3600 + minutes * 60 + seconds
+}
+
+export { CastDevice, CastSession, KEYS, PROTOCOLS, browseDevices, discoverDevices, matchesDevice }
@@ -0,0 +1,190 @@
+import chalk from 'chalk'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+// Default option values read from `~/.config/webtorrent/config.json`, managed with
+// `webtorrent config get|set|list`.
+//
+//   {
+//     "torrent-port": 6881,
+//     "announce": ["udp://tracker.example.com:1337"],
+//     "profiles": {
+//       "seedbox": { "keep-seeding": true, "upload-limit": 1000 }
+//     },
+//     "players": {
+//       "celluloid": { "command": "celluloid", "playlist": ["{urls}"] }
+//     }
+//   }
+//
+// Keys are the long option names of the command line, values are checked against the
+// same option definitions. `players` defines extra players, see players.js.
+
+// Options that only make sense on the command line
+const RESERVED = ['config', 'profile', 'help', 'version']
+
+const TYPES = {
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  string: value => typeof value === 'string'
+}
+
+function getConfigDir () {
+  if (process.env.XDG_CONFIG_HOME) {
+    return path.join(process.env.XDG_CONFIG_HOME, 'webtorrent')
+  }
+  if (process.platform === 'win32' && process.env.APPDATA) {
+    return path.join(process.env.APPDATA, 'webtorrent')
+  }
+  return path.join(os.homedir(), '.config', 'webtorrent')
+}
+
+class Config {
+  // `options` maps option keys to yargs option definitions
+  constructor (file, options) {
+    this.file = file || path.join(getConfigDir(), 'config.json')
+    this.data = {}
+    this.options = new Map()
+
+    Object.entries(options).forEach(([key, option]) => {
+      if (option.hidden || RESERVED.includes(key)) return
+      // Single letter keys have their long name as alias, e.g. `d` and `download-limit`
+      const name = key.length === 1 && option.alias ? option.alias : key
+      ;[key, name].forEach(alias => this.options.set(alias, { name, option }))
+    })
+  }
+
+  // A missing file is only an error when it was asked for with `--config`
+  load ({ required = false } = {}) {
+    let data
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf-8'))
+    } catch (err) {
+      if (err.code === 'ENOENT' && !required) return this
+      throw new Error(`Could not read config file ${this.file}: ${err.message}`)
+    }
+
+    if (!isObject(data)) throw new Error(`${this.file}: Expected an object of options`)
+
+    const { profiles = {}, players = {}, ...values } = data
+    if (!isObject(profiles)) throw new Error(`${this.file}: "profiles" must be an object`)
+    if (!isObject(players)) throw new Error(`${this.file}: "players" must be an object`)
+
+    this.data = this.normalize(values, this.file)
+    if (Object.keys(profiles).length > 0) {
+      this.data.profiles = {}
+      Object.entries(profiles).forEach(([profile, values]) => {
+        if (!isObject(values)) throw new Error(`${this.file}: Profile "${profile}" must be an object`)
+        this.data.profiles[profile] = this.normalize(values, `${this.file}: Profile "${profile}"`)
+      })
+    }
+    if (Object.keys(players).length > 0) this.data.players = players
+    return this
+  }
+
+  save () {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true })
+    const tmp = `${this.file}.tmp`
+    fs.writeFileSync(tmp, `${JSON.stringify(this.data, null, 2)}\n`)
+    fs.renameSync(tmp, this.file)
+  }
+
+  // The options of the file, with the options of `profile` on top
+  values (profile) {
+    const { profiles, players, ...values } = this.data
+    if (!profile) return values
+    return { ...values, ...this.getProfile(profile) }
+  }
+
+  get (key, profile) {
+    const { name } = this.lookup(key)
+    return this.values(profile)[name]
+  }
+
+  // Sets an option from its command line form, e.g. `set('d', '500')`
+  set (key, text, profile) {
+    const { name, option } = this.lookup(key)
+    const value = parseValue(option, text)
+    validate(name, option, value)
+
+    if (profile) {
+      this.data.profiles = this.data.profiles || {}
+      this.data.profiles[profile] = { ...this.data.profiles[profile], [name]: value }
+    } else {
+      this.data[name] = value
+    }
+    return value
+  }
+
+  profiles () {
+    return Object.keys(this.data.profiles || {})
+  }
+
+  // Definitions of extra players, checked by `createPlayers()` of players.js
+  players () {
+    return this.data.players || {}
+  }
+
+  getProfile (profile) {
+    const values = (this.data.profiles || {})[profile]
+    if (!values) {
+      const known = this.profiles()
+      throw new Error(`Unknown profile "${profile}"${known.length ? `, expected one of ${known.join(', ')}` : ''}`)
+    }
+    return values
+  }
+
+  lookup (key) {
+    const entry = this.options.get(key)
+    if (!entry) throw new Error(`Unknown option "${key}"`)
+    return entry
+  }
+
+  normalize (values, where) {
+    const result = {}
+    Object.entries(values).forEach(([key, value]) => {
+      try {
+        const { name, option } = this.lookup(key)
+        validate(name, option, value)
+        result[name] = value
+      } catch (err) {
+        throw new Error(`${where}: ${err.message}`)
+      }
+    })
+    return result
+  }
+}
+
+function validate (name, { type, choices }, value) {
+  const values = type === 'string' && Array.isArray(value) ? value : [value]
+  const valid = values.every(value => {
+    if (choices) return choices.includes(value)
+    if (type) return TYPES[type](value)
+    return Object.values(TYPES).some(isType => isType(value))
+  })
+
+  if (!valid) {
+    const expected = choices ? `one of ${choices.join(', ')}` : `a ${type || 'string, number or boolean'}`
+    throw new Error(`Invalid value ${JSON.stringify(value)} for "${name}", expected ${expected}`)
+  }
+}
+
+// Command line text to the JSON value stored in the file. Text that doesn't convert is
+// returned as is, so `validate()` can report it.
+function parseValue ({ type }, text) {
+  const number = text.trim() === '' ? NaN : Number(text)
+  if ((type === 'number' || !type) && Number.isFinite(number)) return number
+  if ((type === 'boolean' || !type) && ['true', 'false'].includes(text)) return text === 'true'
+  return text
+}
+
+function isObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// The line that `webtorrent config set` prints
+function formatSet (name, value, profile) {
+  return chalk`{green Set} ${name} = ${JSON.stringify(value)}${profile ? chalk` {green in profile} ${profile}` : ''}`
+}
+
+export { Config, formatSet, getConfigDir }
@@ -0,0 +1,63 @@
+// Newline-delimited JSON events of `--json`. Every event is one object on its own line, with
+// its name in `event` and the time it happened in `time`.
+
+// One line of the event stream
+function formatEvent (event, data = {}, time = Date.now()) {
+  return `${JSON.stringify({ event, time, ...data })}\n`
+}
+
+function torrentInfo (torrent) {
+  return { infoHash: torrent.infoHash, name: torrent.name || null }
+}
+
+function metadataEvent (torrent) {
+  return {
+    ...torrentInfo(torrent),
+    magnetURI: torrent.magnetURI,
+    length: torrent.length,
+    files: torrent.files.map(file => ({ name: file.name, path: file.path, length: file.length }))
+  }
+}
+
+function peerEvent (torrent, wire) {
+  return {
+    ...torrentInfo(torrent),
+    numPeers: torrent.numPeers,
+    address: wire.remoteAddress ? `${wire.remoteAddress}:${wire.remotePort}` : null,
+    type: wire.type
+  }
+}
+
+function progressEvent (torrent) {
+  return {
+    ...torrentInfo(torrent),
+    downloaded: torrent.downloaded,
+    uploaded: torrent.uploaded,
+    length: torrent.length || 0,
+    progress: torrent.progress,
+    downloadSpeed: torrent.downloadSpeed,
+    uploadSpeed: torrent.uploadSpeed,
+    numPeers: torrent.numPeers,
+    timeRemaining: Number.isFinite(torrent.timeRemaining) ? torrent.timeRemaining : null,
+    done: torrent.done,
+    paused: torrent.paused
+  }
+}
+
+// Emits the `infoHash`, `metadata` and `peers` events of a torrent as they happen, and
+// `progress` every `interval` ms until it is closed
+function reportTorrent (torrent, emit, { interval = 1000 } = {}) {
+  if (torrent.infoHash) emit('infoHash', torrentInfo(torrent))
+  else torrent.once('infoHash', () => emit('infoHash', torrentInfo(torrent)))
+
+  torrent.once('metadata', () => emit('metadata', metadataEvent(torrent)))
+  torrent.on('wire', wire => emit('peers', peerEvent(torrent, wire)))
+
+  const timer = setInterval(() => {
+    if (torrent.infoHash) emit('progress', progressEvent(torrent))
+  }, interval)
+  timer.unref()
+  torrent.once('close', () => clearInterval(timer))
+}
+
+export { formatEvent, reportTorrent }
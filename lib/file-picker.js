@@ -0,0 +1,67 @@
+import chalk from 'chalk'
+import inquirer from 'inquirer'
+import CheckboxPrompt from 'inquirer/lib/prompts/checkbox.js'
+import prettierBytes from 'prettier-bytes'
+
+// Checkbox prompt that keeps a running total of the checked files in its message
+class FilePickerPrompt extends CheckboxPrompt {
+  render (error) {
+    const checked = this.opt.choices.realChoices.filter(choice => choice.checked)
+    const total = checked.reduce((sum, choice) => sum + choice.length, 0)
+
+    this.opt.message = chalk`${this.opt.title} {blue (${checked.length} files, ${prettierBytes(total)})}`
+    super.render(error)
+  }
+}
+
+inquirer.registerPrompt('file-picker', FilePickerPrompt)
+
+// Choices for the picker, files are grouped under a line for each folder they are in
+function buildChoices (files, checked = []) {
+  const choices = []
+  let lastDirs = []
+
+  files
+    .map((file, index) => {
+      const dirs = file.path.replace(/\\/g, '/').split('/').slice(0, -1)
+      return { file, index, dirs, dir: dirs.join('/') }
+    })
+    // files of a folder come before its subfolders
+    .sort((a, b) => a.dir.localeCompare(b.dir) || a.file.name.localeCompare(b.file.name))
+    .forEach(({ file, index, dirs }) => {
+      // Print the folders that differ from the previous file
+      let same = 0
+      while (same < dirs.length && dirs[same] === lastDirs[same]) same += 1
+      for (let depth = same; depth < dirs.length; depth++) {
+        choices.push(new inquirer.Separator(chalk`${'  '.repeat(depth)}{bold ${dirs[depth]}/}`))
+      }
+      lastDirs = dirs
+
+      choices.push({
+        name: chalk`${'  '.repeat(dirs.length)}${file.name} {blue (${prettierBytes(file.length)})}`,
+        short: file.name,
+        value: index,
+        length: file.length,
+        checked: checked.includes(index)
+      })
+    })
+
+  return choices
+}
+
+// Resolves with the indexes of the files that were checked
+async function pickFiles (files, { checked } = {}) {
+  const answers = await inquirer.prompt([{
+    type: 'file-picker',
+    name: 'files',
+    title: 'Choose files',
+    choices: buildChoices(files, checked),
+    pageSize: Math.max(5, (process.stdout.rows || 24) - 4),
+    loop: false,
+    validate: answer => answer.length > 0 || 'Choose at least one file'
+  }])
+
+  return answers.files.sort((a, b) => a - b)
+}
+
+export { buildChoices, pickFiles }
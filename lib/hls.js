@@ -0,0 +1,344 @@
+import cp from 'child_process'
+import EventEmitter from 'events'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { findExecutable } from './players.js'
+import { isMediaFile } from './playlist.js'
+
+// HLS remux of the torrent files for browsers that can't play their container or codecs,
+// e.g. MKV, made by a local ffmpeg. ffmpeg reads the file from its stream URL, so it seeks
+// with range requests like any other player. Video is copied when it is H.264 and audio
+// when it is AAC or MP3, anything else is transcoded.
+
+const HLS_PATH = '/hls/'
+
+const SEGMENT_DURATION = 6
+
+// Segments ahead of the requested one whose pieces are downloaded first
+const AHEAD_SEGMENTS = 3
+
+// How often a running ffmpeg is checked for new segments
+const POLL_INTERVAL = 250
+
+// ffmpeg on the PATH, or at `name` when it is a path, or null
+function findFfmpeg (name = 'ffmpeg') {
+  return findExecutable(name)
+}
+
+// Path of the HLS playlist of a file of a torrent, served by the HLS handler
+function hlsPath (torrent, file) {
+  return `${HLS_PATH}${torrent.infoHash}/${torrent.files.indexOf(file)}/index.m3u8`
+}
+
+// The duration in seconds and the first video and audio stream of the `ffmpeg -i` output
+function parseProbe (output) {
+  const duration = /Duration: (\d+):(\d\d):(\d\d(?:\.\d+)?)/.exec(output)
+  const streams = output.split('\n').filter(line => /^\s*Stream #/.test(line))
+  // Cover art shows up as a video stream
+  const video = streams.find(line => / Video: /.test(line) && !/\(attached pic\)/.test(line))
+  const audio = streams.find(line => / Audio: /.test(line))
+
+  return {
+    duration: duration ? Number(duration[1]) * 3600 + Number(duration[2]) * 60 + Number(duration[3]) : null,
+    video: video ? parseCodec(video, 'Video') : null,
+    audio: audio ? parseCodec(audio, 'Audio') : null
+  }
+}
+
+// `{ codec, profile }` of a line like `Stream #0:0: Video: h264 (High), yuv420p, ...`
+function parseCodec (line, type) {
+  const [, codec, profile = null] = new RegExp(` ${type}: (\\w+)(?: \\(([^)]+)\\))?`).exec(line) || []
+  return { codec: codec || null, profile }
+}
+
+// Browsers play 8 bit H.264, e.g. not `High 10`
+function canCopyVideo (video) {
+  return video.codec === 'h264' && !/10|4:2:2|4:4:4/.test(video.profile || '')
+}
+
+function canCopyAudio (audio) {
+  return audio.codec === 'aac' || audio.codec === 'mp3'
+}
+
+// Arguments of the ffmpeg that writes the segments and the playlist of `input` to `dir`
+function ffmpegArgs ({ input, dir, probe, segmentDuration = SEGMENT_DURATION }) {
+  const args = ['-hide_banner', '-loglevel', 'error', '-nostdin', '-i', input, '-sn', '-dn']
+
+  if (probe.video) {
+    args.push('-map', '0:v:0')
+    args.push(...(canCopyVideo(probe.video)
+      ? ['-c:v', 'copy']
+      // Key frames on the segment boundaries, segments can only start with one
+      : ['-c:v', 'libx264', '-preset', 'veryfast', '-pix_fmt', 'yuv420p', '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`]))
+  }
+  if (probe.audio) {
+    args.push('-map', '0:a:0')
+    args.push(...(canCopyAudio(probe.audio) ? ['-c:a', 'copy'] : ['-c:a', 'aac', '-ac', '2', '-b:a', '192k']))
+  }
+
+  return args.concat([
+    '-f', 'hls',
+    '-hls_time', String(segmentDuration),
+    '-hls_list_size', '0',
+    '-hls_playlist_type', 'event',
+    // Segments show up under their name once they are complete
+    '-hls_flags', 'temp_file',
+    '-hls_segment_filename', path.join(dir, '%d.ts'),
+    path.join(dir, 'index.m3u8')
+  ])
+}
+
+// The segments of a playlist written by ffmpeg, as `{ name, start, duration }`
+function parsePlaylist (text) {
+  const segments = []
+  let start = 0
+  let duration = null
+
+  text.split(/\r?\n/).forEach(line => {
+    const extinf = /^#EXTINF:([\d.]+)/.exec(line)
+    if (extinf) {
+      duration = Number(extinf[1])
+    } else if (line && !line.startsWith('#') && duration !== null) {
+      segments.push({ name: line.trim(), start, duration })
+      start += duration
+      duration = null
+    }
+  })
+
+  return { segments, ended: /^#EXT-X-ENDLIST/m.test(text) }
+}
+
+// One ffmpeg remuxing one file into a temporary folder. Emits `update` when segments are
+// added and when ffmpeg exits.
+class HlsSession extends EventEmitter {
+  constructor ({ ffmpeg, input, segmentDuration = SEGMENT_DURATION }) {
+    super()
+    this.ffmpeg = ffmpeg
+    this.input = input
+    this.segmentDuration = segmentDuration
+    this.probe = null
+    this.segments = []
+    this.ended = false
+    this.exited = false
+    this.error = null
+    this.lastUsed = Date.now()
+    this.closed = false
+    this.process = null
+    this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webtorrent-hls-'))
+    this.ready = this._start()
+    this.ready.catch(err => this._exit(err))
+  }
+
+  async _start () {
+    this.probe = parseProbe(await this._run(['-hide_banner', '-nostdin', '-i', this.input]))
+    if (!this.probe.video && !this.probe.audio) throw new Error('ffmpeg found no audio or video in the file')
+    if (this.closed) return
+
+    const args = ffmpegArgs({ input: this.input, dir: this.dir, probe: this.probe, segmentDuration: this.segmentDuration })
+    const child = this.process = cp.spawn(this.ffmpeg, args, { stdio: ['ignore', 'ignore', 'pipe'] })
+    let stderr = ''
+    child.stderr.on('data', data => (stderr = (stderr + data).slice(-1000)))
+    child.on('error', err => this._exit(err))
+    child.on('close', code => {
+      this._read()
+      this._exit(code === 0 || this.closed ? null : new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`))
+    })
+
+    this.poll = setInterval(() => this._read(), POLL_INTERVAL)
+  }
+
+  // Output of ffmpeg without an output file, which only describes the input
+  _run (args) {
+    return new Promise((resolve, reject) => {
+      let output = ''
+      const child = this.process = cp.spawn(this.ffmpeg, args, { stdio: ['ignore', 'ignore', 'pipe'] })
+      child.stderr.on('data', data => (output += data))
+      child.on('error', reject)
+      child.on('close', () => resolve(output))
+    })
+  }
+
+  _read () {
+    let text
+    try {
+      text = fs.readFileSync(path.join(this.dir, 'index.m3u8'), 'utf8')
+    } catch (err) {
+      return // Not written yet
+    }
+    const { segments, ended } = parsePlaylist(text)
+    if (segments.length === this.segments.length && ended === this.ended) return
+    this.segments = segments
+    this.ended = ended
+    this.emit('update')
+  }
+
+  _exit (err) {
+    if (this.exited) return
+    this.exited = true
+    this.error = err || null
+    clearInterval(this.poll)
+    this.emit('update')
+  }
+
+  // Resolves once `test()` is true, false when it never will be or when the client of `res`
+  // goes away
+  wait (test, res) {
+    this.lastUsed = Date.now()
+    if (test()) return Promise.resolve(true)
+    if (this.exited) return Promise.resolve(false)
+
+    return new Promise(resolve => {
+      const done = result => {
+        this.removeListener('update', onUpdate)
+        res.removeListener('close', onClose)
+        resolve(result)
+      }
+      const onUpdate = () => {
+        if (test()) done(true)
+        else if (this.exited) done(false)
+      }
+      const onClose = () => done(false)
+      this.on('update', onUpdate)
+      res.on('close', onClose)
+    })
+  }
+
+  close () {
+    if (this.closed) return
+    this.closed = true
+    if (this.process) this.process.kill()
+    this._exit(null)
+    fs.rmSync(this.dir, { recursive: true, force: true })
+  }
+}
+
+// Request handler for `hlsPath()` and the segments of the playlists, with a `handles(req)`
+// check for the paths it serves. `inputOf(torrent, file)` is the URL ffmpeg reads a file
+// from. Sessions that got no requests for `idleTimeout` ms are stopped, `handler.close()`
+// stops them all.
+function createHlsHandler (client, { ffmpeg, inputOf, segmentDuration = SEGMENT_DURATION, idleTimeout = 60000 }) {
+  const sessions = new Map()
+
+  const idleCheck = setInterval(() => {
+    sessions.forEach((session, key) => {
+      if (Date.now() - session.lastUsed < idleTimeout) return
+      session.close()
+      sessions.delete(key)
+    })
+  }, Math.min(idleTimeout, 10000))
+  idleCheck.unref()
+
+  function handles (req) {
+    return new URL(req.url, 'http://localhost').pathname.startsWith(HLS_PATH)
+  }
+
+  function getSession (torrent, file) {
+    const key = `${torrent.infoHash}/${torrent.files.indexOf(file)}`
+    let session = sessions.get(key)
+    // A failed ffmpeg is tried again by the next request
+    if (session && session.error) {
+      session.close()
+      session = null
+    }
+    if (!session) {
+      session = new HlsSession({ ffmpeg, input: inputOf(torrent, file), segmentDuration })
+      sessions.set(key, session)
+    }
+    return session
+  }
+
+  async function handler (req, res) {
+    const url = new URL(req.url, 'http://localhost')
+    const [, infoHash, index, name] = /^\/hls\/([0-9a-f]{40})\/(\d+)\/(index\.m3u8|\d+\.ts)$/i.exec(url.pathname) || []
+    const torrent = infoHash && client.torrents.find(torrent => torrent.infoHash === infoHash.toLowerCase())
+    const file = torrent && torrent.files && torrent.files[index]
+
+    if (!file || !isMediaFile(file.name)) {
+      return notFound(res, 'File not found')
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' })
+      return res.end()
+    }
+
+    const session = getSession(torrent, file)
+    if (name === 'index.m3u8') return servePlaylist(req, res, session, url.search)
+
+    const n = Number(name.slice(0, -3))
+    session.ready.then(() => prioritize(torrent, file, session, n), () => {})
+    if (!await session.wait(() => session.segments.some(segment => segment.name === name), res)) {
+      return session.error ? serverError(res, session.error) : notFound(res, 'Segment not found')
+    }
+
+    const segmentPath = path.join(session.dir, name)
+    fs.stat(segmentPath, (err, stats) => {
+      if (err) return notFound(res, 'Segment not found')
+      res.writeHead(200, {
+        'Content-Type': 'video/mp2t',
+        'Content-Length': stats.size,
+        'Access-Control-Allow-Origin': '*'
+      })
+      if (req.method === 'HEAD') return res.end()
+      fs.createReadStream(segmentPath).on('error', () => res.destroy()).pipe(res)
+    })
+  }
+
+  // Players load the playlist again for the segments that were added since
+  async function servePlaylist (req, res, session, search) {
+    if (!await session.wait(() => session.segments.length > 0 || session.ended, res)) {
+      return session.error ? serverError(res, session.error) : notFound(res, 'No segments')
+    }
+
+    // Segments get the query of the playlist, e.g. the `--auth` token
+    let body
+    try {
+      body = fs.readFileSync(path.join(session.dir, 'index.m3u8'), 'utf8').replace(/^(\d+\.ts)$/gm, `$1${search}`)
+    } catch (err) {
+      return notFound(res, 'No segments') // Stopped in the meantime
+    }
+    res.writeHead(200, {
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Content-Length': Buffer.byteLength(body),
+      'Cache-Control': 'no-cache',
+      'Access-Control-Allow-Origin': '*'
+    })
+    res.end(req.method === 'HEAD' ? null : body)
+  }
+
+  // Downloads the pieces of the segments after `n` first, their place in the file is
+  // guessed from the duration
+  function prioritize (torrent, file, session, n) {
+    const duration = session.probe && session.probe.duration
+    if (!duration || !torrent.pieceLength || typeof torrent.critical !== 'function') return
+
+    const known = session.segments.find(segment => segment.name === `${n}.ts`)
+    const start = known ? known.start : n * session.segmentDuration
+    const end = start + (AHEAD_SEGMENTS + 1) * session.segmentDuration
+    const offset = time => file.offset + Math.min(file.length - 1, Math.floor(file.length * time / duration))
+    torrent.critical(Math.floor(offset(start) / torrent.pieceLength), Math.floor(offset(end) / torrent.pieceLength))
+  }
+
+  function close () {
+    clearInterval(idleCheck)
+    sessions.forEach(session => session.close())
+    sessions.clear()
+  }
+
+  handler.handles = handles
+  handler.close = close
+  handler.sessions = sessions
+  return handler
+}
+
+function notFound (res, message) {
+  res.writeHead(404, { 'Content-Type': 'text/plain' })
+  res.end(`${message}\n`)
+}
+
+function serverError (res, err) {
+  res.writeHead(500, { 'Content-Type': 'text/plain' })
+  res.end(`Could not remux the file: ${err.message}\n`)
+}
+
+export { HlsSession, createHlsHandler, ffmpegArgs, findFfmpeg, hlsPath, parsePlaylist, parseProbe }
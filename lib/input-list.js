@@ -0,0 +1,88 @@
+import path from 'path'
+
+// Parses a list of torrent ids, one per line, as given to `--input-file`.
+//
+//   # comments and empty lines are ignored
+//   magnet:?xt=urn:btih:... out=Movies priority=2 select=0,2
+//   "/path/with spaces/file.torrent" out=Books
+//
+// Returns `{ torrentId, opts }` pairs, `out` is resolved against `baseDir`.
+
+const OPTIONS = {
+  out: (value, { baseDir }) => ({ path: path.resolve(baseDir, value) }),
+  priority: value => {
+    const priority = Number(value)
+    if (!Number.isInteger(priority)) throw new Error(`Invalid priority ${value}`)
+    return { priority }
+  },
+  select: value => ({ select: value })
+}
+
+function parseInputList (text, { source = 'input', baseDir = process.cwd() } = {}) {
+  const inputs = []
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    const where = `${source}:${i + 1}`
+    let tokens
+
+    try {
+      tokens = tokenize(line)
+    } catch (err) {
+      throw new Error(`${where}: ${err.message}`)
+    }
+    if (tokens.length === 0) return
+
+    const [torrentId, ...options] = tokens
+    const opts = {}
+
+    options.forEach(option => {
+      const eq = option.indexOf('=')
+      const key = eq === -1 ? option : option.slice(0, eq)
+
+      if (!OPTIONS[key] || eq === -1) {
+        throw new Error(`${where}: Unknown option "${option}", expected one of ${Object.keys(OPTIONS).map(key => `${key}=`).join(', ')}`)
+      }
+
+      try {
+        Object.assign(opts, OPTIONS[key](option.slice(eq + 1), { baseDir }))
+      } catch (err) {
+        throw new Error(`${where}: ${err.message}`)
+      }
+    })
+
+    inputs.push({ torrentId, opts })
+  })
+
+  return inputs
+}
+
+// Splits a line on whitespace, keeping "quoted strings" together and dropping # comments
+function tokenize (line) {
+  const tokens = []
+  let token = null
+  let quoted = false
+
+  for (const char of line) {
+    if (quoted) {
+      if (char === '"') quoted = false
+      else token += char
+    } else if (char === '"') {
+      quoted = true
+      token = token || ''
+    } else if (char === '#' && token === null) {
+      break
+    } else if (/\s/.test(char)) {
+      if (token !== null) tokens.push(token)
+      token = null
+    } else {
+      token = (token || '') + char
+    }
+  }
+
+  if (quoted) throw new Error('Unterminated quote')
+  if (token !== null) tokens.push(token)
+
+  return tokens
+}
+
+export { parseInputList }
@@ -0,0 +1,101 @@
+import http from 'http'
+
+// Prometheus metrics of the torrents of a client, served on `/metrics` of `--metrics-port`.
+
+const WIRE_TYPES = ['webSeed', 'webrtc', 'tcpIncoming', 'tcpOutgoing', 'utpIncoming', 'utpOutgoing']
+
+// Counters that webtorrent only reports as events
+const stats = new WeakMap()
+
+// Starts counting the events of a torrent, returns `{ hotswaps, blockedPeers }`
+function torrentStats (torrent) {
+  if (!stats.has(torrent)) {
+    const counters = { hotswaps: 0, blockedPeers: 0 }
+    torrent.on('hotswap', () => (counters.hotswaps += 1))
+    torrent.on('blockedPeer', () => (counters.blockedPeers += 1))
+    stats.set(torrent, counters)
+  }
+  return stats.get(torrent)
+}
+
+const METRICS = [
+  ['download_speed_bytes', 'gauge', 'Download speed in bytes per second', torrent => torrent.downloadSpeed],
+  ['upload_speed_bytes', 'gauge', 'Upload speed in bytes per second', torrent => torrent.uploadSpeed],
+  ['downloaded_bytes_total', 'counter', 'Verified bytes downloaded', torrent => torrent.downloaded],
+  ['uploaded_bytes_total', 'counter', 'Bytes uploaded', torrent => torrent.uploaded],
+  ['length_bytes', 'gauge', 'Size of the torrent in bytes', torrent => torrent.length || 0],
+  ['progress_ratio', 'gauge', 'Download progress from 0 to 1', torrent => torrent.progress],
+  ['peers', 'gauge', 'Number of connected peers', torrent => torrent.numPeers],
+  ['unchoked_peers', 'gauge', 'Number of peers that are not choking us', torrent => torrent.wires.filter(wire => !wire.peerChoking).length],
+  ['blocked_peers_total', 'counter', 'Peers refused because of the blocklist', torrent => torrentStats(torrent).blockedPeers],
+  ['hotswaps_total', 'counter', 'Peer connections replaced by faster ones', torrent => torrentStats(torrent).hotswaps]
+]
+
+// Prometheus text format of the torrents of `client`
+function renderMetrics (client) {
+  const lines = []
+  const family = (name, type, help) => {
+    lines.push(`# HELP webtorrent_${name} ${help}`, `# TYPE webtorrent_${name} ${type}`)
+  }
+
+  family('torrents', 'gauge', 'Number of torrents')
+  lines.push(`webtorrent_torrents ${client.torrents.length}`)
+
+  METRICS.forEach(([name, type, help, value]) => {
+    family(name, type, help)
+    client.torrents.forEach(torrent => {
+      lines.push(`webtorrent_${name}${formatLabels(torrentLabels(torrent))} ${formatValue(value(torrent))}`)
+    })
+  })
+
+  family('peers_by_type', 'gauge', 'Number of connected peers by connection type')
+  client.torrents.forEach(torrent => {
+    WIRE_TYPES.forEach(type => {
+      const count = torrent.wires.filter(wire => wire.type === type).length
+      lines.push(`webtorrent_peers_by_type${formatLabels({ ...torrentLabels(torrent), type })} ${count}`)
+    })
+  })
+
+  return `${lines.join('\n')}\n`
+}
+
+// `checkAccess(req, res)` can refuse requests, see `createAccessCheck()` of access.js
+function createMetricsServer (client, checkAccess = () => true) {
+  return http.createServer((req, res) => {
+    if (!checkAccess(req, res)) return
+
+    const { pathname } = new URL(req.url, 'http://localhost')
+    if (pathname !== '/metrics' || (req.method !== 'GET' && req.method !== 'HEAD')) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' })
+      return res.end('Not found\n')
+    }
+
+    const body = renderMetrics(client)
+    res.writeHead(200, {
+      'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body)
+    })
+    res.end(req.method === 'HEAD' ? null : body)
+  })
+}
+
+function torrentLabels (torrent) {
+  return { info_hash: torrent.infoHash || '', name: torrent.name || '' }
+}
+
+function formatLabels (labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => {
+    const escaped = String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+    return `${key}="${escaped}"`
+  })
+  return `{${pairs.join(',')}}`
+}
+
+function formatValue (value) {
+  if (Number.isNaN(value) || value === undefined || value === null) return 'NaN'
+  if (value === Infinity) return '+Inf'
+  if (value === -Infinity) return '-Inf'
+  return String(value)
+}
+
+export { createMetricsServer, renderMetrics, torrentStats }
@@ -0,0 +1,163 @@
+import fs from 'fs'
+import path from 'path'
+import vlcCommand from 'vlc-command'
+
+// Registry of the players webtorrent can start, e.g. with `--vlc` or `--player vlc`. More
+// players can be defined in the `players` section of the config file:
+//
+//   "players": {
+//     "celluloid": {
+//       "name": "Celluloid",
+//       "command": "celluloid",
+//       "playlist": ["{urls}"],
+//       "subtitles": ["--mpv-sub-file={subtitles}"]
+//     }
+//   }
+//
+// Argument templates are lists of arguments. `{url}` is replaced with the stream URL,
+// `{urls}` with one argument per URL of a playlist, `{subtitles}` with the subtitles file
+// or URL and `{option}` with the value of the player flag (e.g. `--omx local`). Players
+// without a `playlist` template only play one file. Instead of a `command`, a player can be
+// opened through a URL scheme with `open`, e.g. `iina://weblink?url={url}`.
+
+const PLAYERS = {
+  vlc: {
+    name: 'VLC',
+    command: 'vlc',
+    // Finds VLC outside of the PATH too, e.g. in the Windows registry
+    find: () => new Promise(resolve => vlcCommand((err, cmd) => resolve(err ? null : cmd))),
+    args: ['--play-and-exit', '--quiet'],
+    playlist: ['{urls}'],
+    subtitles: ['--sub-file={subtitles}'],
+    onTop: ['--video-on-top'],
+    debug: ['--extraintf=http:logger', '--verbose=2', '--file-logging', '--logfile=vlc-log.txt']
+  },
+  iina: {
+    name: 'IINA',
+    open: 'iina://weblink?url={url}',
+    detect: '/Applications/IINA.app'
+  },
+  mpv: {
+    name: 'MPV',
+    command: 'mpv',
+    args: ['--really-quiet', '--loop=no'],
+    playlist: ['{urls}'],
+    subtitles: ['--sub-file={subtitles}'],
+    onTop: ['--ontop']
+  },
+  mplayer: {
+    name: 'MPlayer',
+    command: 'mplayer',
+    args: ['-really-quiet', '-noidx', '-loop', '0'],
+    playlist: ['{urls}'],
+    subtitles: ['-sub', '{subtitles}'],
+    onTop: ['-ontop']
+  },
+  smplayer: {
+    name: 'SMPlayer',
+    command: 'smplayer',
+    args: ['-close-at-end'],
+    playlist: ['{urls}'],
+    subtitles: ['-sub', '{subtitles}'],
+    onTop: ['-ontop']
+  },
+  omx: {
+    name: 'OMX',
+    command: 'lxterminal',
+    detect: 'omxplayer',
+    args: ['-e', 'omxplayer', '-r', '--timeout', '60', '--no-ghost-box', '--align', 'center', '-o', '{option}'],
+    option: 'hdmi',
+    subtitles: ['--subtitles', '{subtitles}']
+  }
+}
+
+const TEMPLATES = ['args', 'url', 'playlist', 'subtitles', 'onTop', 'pip', 'debug']
+
+// The built-in players with the players of the config file on top, as a Map. `source`
+// names the config file in errors.
+function createPlayers (userPlayers = {}, { source } = {}) {
+  const players = new Map(Object.entries(PLAYERS))
+
+  Object.entries(userPlayers).forEach(([key, player]) => {
+    const where = `${source ? `${source}: ` : ''}Player "${key}"`
+    if (player === null || typeof player !== 'object' || Array.isArray(player)) {
+      throw new Error(`${where} must be an object`)
+    }
+    if (typeof player.command !== 'string' && typeof player.open !== 'string') {
+      throw new Error(`${where} needs a "command" or an "open" URL`)
+    }
+    ;['name', 'command', 'open', 'detect', 'option'].forEach(field => {
+      if (player[field] !== undefined && typeof player[field] !== 'string') {
+        throw new Error(`${where}: "${field}" must be a string`)
+      }
+    })
+    TEMPLATES.forEach(field => {
+      const template = player[field]
+      if (template !== undefined && !(Array.isArray(template) && template.every(arg => typeof arg === 'string'))) {
+        throw new Error(`${where}: "${field}" must be a list of arguments`)
+      }
+    })
+
+    players.set(key, { name: key, ...player, user: true })
+  })
+
+  return players
+}
+
+// Returns `{ command, args }` to spawn without a shell, so file names are never run as
+// commands, or `{ open }` with a URL to open. Several `urls` are played as a playlist if the
+// player supports it.
+function playerCommand (player, { command = player.command, urls, subtitles, onTop, pip, debug, option, extraArgs = [] }) {
+  if (player.open) {
+    return { open: player.open.replace(/\{url\}/g, encodeURIComponent(urls[0])) }
+  }
+
+  const values = { urls, url: urls[0], subtitles, option: option || player.option }
+  const fill = template => (template || []).flatMap(arg => {
+    if (arg === '{urls}') return urls
+    return [arg.replace(/\{(url|subtitles|option)\}/g, (match, key) => values[key] || '')]
+  })
+
+  return {
+    command,
+    args: [
+      ...fill(player.args),
+      ...(debug ? fill(player.debug) : []),
+      ...(subtitles ? fill(player.subtitles) : []),
+      ...(pip ? fill(player.pip) : []),
+      ...(onTop ? fill(player.onTop) : []),
+      ...extraArgs,
+      ...(urls.length > 1 && player.playlist ? fill(player.playlist) : fill(player.url || ['{url}']))
+    ]
+  }
+}
+
+// Resolves to the path of the installed player, or null
+async function detectPlayer (player) {
+  if (player.find) return player.find()
+  return findExecutable(player.detect || player.command)
+}
+
+// Looks up a command in the PATH, or checks that a path exists
+async function findExecutable (name) {
+  if (!name) return null
+
+  const candidates = name.includes('/') || name.includes(path.sep)
+    ? [name]
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean).flatMap(dir => {
+        const extensions = process.platform === 'win32' ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';') : ['']
+        return extensions.map(ext => path.join(dir, name + ext))
+      })
+
+  for (const candidate of candidates) {
+    try {
+      await fs.promises.access(candidate, fs.constants.X_OK)
+      return candidate
+    } catch (err) {
+      // Not here
+    }
+  }
+  return null
+}
+
+export { createPlayers, detectPlayer, findExecutable, playerCommand }
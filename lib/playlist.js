@@ -0,0 +1,124 @@
+import mime from 'mime'
+import path from 'path'
+
+// Playlists of the media files of torrents, written by `--playlist-out` and served as
+// `/playlist.m3u` so any player can open a whole torrent.
+
+const PLAYLIST_PATH = '/playlist.m3u'
+
+function isMediaFile (name) {
+  return /^(video|audio)\//.test(mime.getType(name) || '')
+}
+
+// Returns `{ title, url }` for the media files of `torrents`. `hrefOf(file)` gives the stream
+// URL of a file and `selectedOf(torrent)` the selected file indexes, if any.
+function playlistEntries (torrents, { hrefOf, selectedOf = () => null }) {
+  return torrents
+    .filter(torrent => torrent.ready)
+    .flatMap(torrent => {
+      const selected = selectedOf(torrent)
+      return torrent.files.filter((file, i) => (!selected || selected.includes(i)) && isMediaFile(file.name))
+    })
+    .map(file => ({
+      title: path.basename(file.name, path.extname(file.name)),
+      url: hrefOf(file)
+    }))
+}
+
+function renderM3u (entries, { title } = {}) {
+  const lines = ['#EXTM3U']
+  if (title) lines.push(`#PLAYLIST:${oneLine(title)}`)
+
+  entries.forEach(entry => {
+    // The durations are not known without reading the files
+    lines.push(`#EXTINF:-1,${oneLine(entry.title)}`, entry.url)
+  })
+
+  return `${lines.join('\n')}\n`
+}
+
+function renderXspf (entries, { title } = {}) {
+  const tracks = entries.map(entry => [
+    '    <track>',
+    `      <location>${escapeXml(entry.url)}</location>`,
+    `      <title>${escapeXml(entry.title)}</title>`,
+    '    </track>'
+  ].join('\n'))
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    title ? `  <title>${escapeXml(title)}</title>` : null,
+    '  <trackList>',
+    ...tracks,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].filter(line => line !== null).join('\n')
+}
+
+// Renders the playlist in the format that fits the extension of `file`
+function renderPlaylistFile (file, entries, opts) {
+  const format = playlistFormat(file)
+  if (!format) throw new Error(`Unsupported playlist format ${file}, use .m3u, .m3u8 or .xspf`)
+  return format === 'xspf' ? renderXspf(entries, opts) : renderM3u(entries, opts)
+}
+
+function playlistFormat (file) {
+  const ext = path.extname(file).toLowerCase()
+  if (ext === '.m3u' || ext === '.m3u8') return 'm3u'
+  if (ext === '.xspf') return 'xspf'
+  return null
+}
+
+// Returns a `(req, res)` handler for `/playlist.m3u`, with `handler.handles(req)` like the
+// API handler. `/playlist.m3u?torrent=<info-hash>` only lists one torrent. Takes the options
+// of `playlistEntries()`, but `hrefOf(file, req)` gives the URL as seen by the client of `req`.
+function createPlaylistHandler (client, { hrefOf, selectedOf }) {
+  function handles (req) {
+    return new URL(req.url, 'http://localhost').pathname === PLAYLIST_PATH
+  }
+
+  function handler (req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' })
+      return res.end()
+    }
+
+    const infoHash = new URL(req.url, 'http://localhost').searchParams.get('torrent')
+    const torrents = infoHash
+      ? client.torrents.filter(torrent => torrent.infoHash === infoHash.toLowerCase())
+      : client.torrents
+
+    if (infoHash && torrents.length === 0) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' })
+      return res.end('Torrent not found\n')
+    }
+
+    const entries = playlistEntries(torrents, { hrefOf: file => hrefOf(file, req), selectedOf })
+    const body = renderM3u(entries, { title: torrents.length === 1 ? torrents[0].name : 'WebTorrent' })
+    res.writeHead(200, {
+      'Content-Type': 'audio/x-mpegurl; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body)
+    })
+    res.end(req.method === 'HEAD' ? null : body)
+  }
+
+  handler.handles = handles
+  return handler
+}
+
+function oneLine (text) {
+  return String(text).replace(/[\r\n]+/g, ' ')
+}
+
+function escapeXml (text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+export { createPlaylistHandler, escapeXml, isMediaFile, playlistEntries, playlistFormat, renderM3u, renderPlaylistFile, renderXspf }
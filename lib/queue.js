@@ -0,0 +1,51 @@
+import EventEmitter from 'events'
+
+// Runs at most `maxActive` jobs at a time. Pending jobs start by priority (highest first),
+// jobs of the same priority in `fifo` or `lifo` order.
+//
+// A job is a function that receives a `done` callback, to be called once it frees its slot.
+class Queue extends EventEmitter {
+  constructor ({ maxActive = Infinity, order = 'fifo' } = {}) {
+    super()
+
+    if (!['fifo', 'lifo'].includes(order)) {
+      throw new Error(`Unknown queue order ${order}`)
+    }
+
+    this.maxActive = maxActive > 0 ? maxActive : Infinity
+    this.order = order
+    this.active = 0
+    this.pending = []
+    this._added = 0
+  }
+
+  push (job, { priority = 0 } = {}) {
+    this.pending.push({ job, priority, seq: this._added++ })
+    this.pending.sort((a, b) => (b.priority - a.priority) ||
+      (this.order === 'fifo' ? a.seq - b.seq : b.seq - a.seq))
+
+    // Start on the next tick, so a whole batch is queued before the order is applied
+    process.nextTick(() => this._next())
+  }
+
+  _next () {
+    while (this.active < this.maxActive && this.pending.length > 0) {
+      const { job } = this.pending.shift()
+      let finished = false
+
+      this.active += 1
+      job(() => {
+        if (finished) return
+        finished = true
+        this.active -= 1
+        this._next()
+      })
+    }
+
+    if (this.active === 0 && this.pending.length === 0) {
+      this.emit('idle')
+    }
+  }
+}
+
+export { Queue }
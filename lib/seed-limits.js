@@ -0,0 +1,80 @@
+// Stop conditions for seeding: `--seed-ratio`, `--seed-time` and `--seed-idle`.
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }
+
+// Parses durations like `90s`, `30m`, `6h`, `1d` or `1h30m` to milliseconds. Plain
+// numbers are seconds.
+function parseDuration (value) {
+  const str = String(value).trim().toLowerCase()
+
+  if (/^\d+(\.\d+)?$/.test(str)) return Number(str) * UNITS.s
+  if (!/^(\d+(\.\d+)?[smhd])+$/.test(str)) {
+    throw new Error(`Invalid duration "${value}", use e.g. 90s, 30m, 6h or 1d`)
+  }
+
+  let ms = 0
+  str.replace(/(\d+(?:\.\d+)?)([smhd])/g, (_, amount, unit) => {
+    ms += Number(amount) * UNITS[unit]
+  })
+  return ms
+}
+
+class SeedLimiter {
+  // `limits` holds `ratio`, `time` and `idle` (in ms), `uploaded` returns the bytes
+  // uploaded so far (e.g. including earlier sessions).
+  constructor (torrent, limits, { uploaded = () => torrent.uploaded } = {}) {
+    this.torrent = torrent
+    this.limits = limits
+    this.uploaded = uploaded
+    this.interval = null
+    this._onUpload = () => (this.lastActive = Date.now())
+  }
+
+  static hasLimits (limits) {
+    return limits.ratio > 0 || limits.time > 0 || limits.idle > 0
+  }
+
+  // Calls `onLimit(reason)` once one of the limits is reached
+  start (onLimit) {
+    this.seedingSince = this.lastActive = Date.now()
+    this.torrent.on('upload', this._onUpload)
+
+    this.interval = setInterval(() => {
+      const { reached } = this.status()
+      if (reached) {
+        this.stop()
+        onLimit(reached)
+      }
+    }, 1000)
+    this.interval.unref()
+    return this
+  }
+
+  stop () {
+    clearInterval(this.interval)
+    this.torrent.removeListener('upload', this._onUpload)
+  }
+
+  status (now = Date.now()) {
+    const { ratio, time, idle } = this.limits
+    // Against the data that was downloaded, so with `--select` only the selected files count
+    const length = this.torrent.downloaded || 0
+    const current = length ? this.uploaded() / length : 0
+
+    const timeLeft = time > 0 ? Math.max(0, this.seedingSince + time - now) : Infinity
+    const idleLeft = idle > 0 ? Math.max(0, this.lastActive + idle - now) : Infinity
+
+    let reached = null
+    if (ratio > 0 && current >= ratio) reached = 'ratio'
+    else if (timeLeft === 0) reached = 'time'
+    else if (idleLeft === 0) reached = 'idle'
+
+    return {
+      ratio: current,
+      timeLeft: Math.min(timeLeft, idleLeft),
+      reached
+    }
+  }
+}
+
+export { SeedLimiter, parseDuration }
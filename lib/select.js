@@ -0,0 +1,77 @@
+import picomatch from 'picomatch'
+
+// Resolves `--select` and `--exclude` to the indexes of the matching torrent files.
+//
+// `select` may be a number, a string of comma separated indexes, ranges (`5-9`) and
+// globs (`**/*.mkv`), or an array of those. Without `select` all files are selected.
+function selectFiles (files, select, exclude) {
+  const paths = files.map(file => file.path.replace(/\\/g, '/'))
+  let indexes
+
+  if (select === undefined || select === null) {
+    indexes = paths.map((_, i) => i)
+  } else {
+    indexes = []
+    parseList(select).forEach(token => {
+      const range = /^(\d+)(?:-(\d+))?$/.exec(token)
+
+      if (range) {
+        const start = Number(range[1])
+        const end = range[2] === undefined ? start : Number(range[2])
+        if (end < start) throw new Error(`Invalid range ${token}`)
+
+        for (let i = start; i <= end; i++) {
+          if (!files[i]) throw new Error(`There's no file that maps to index ${i}`)
+          indexes.push(i)
+        }
+      } else {
+        const matches = paths.reduce((acc, p, i) => match(token, p) ? acc.concat(i) : acc, [])
+        if (matches.length === 0) throw new Error(`There's no file that matches ${token}`)
+        indexes.push(...matches)
+      }
+    })
+  }
+
+  if (exclude !== undefined && exclude !== null) {
+    const patterns = parseList(exclude)
+    indexes = indexes.filter(i => !patterns.some(pattern => match(pattern, paths[i])))
+  }
+
+  indexes = [...new Set(indexes)].sort((a, b) => a - b)
+  if (indexes.length === 0) throw new Error('No files left to select')
+
+  return indexes
+}
+
+function match (pattern, filePath) {
+  // Patterns without a slash match the file name in any folder, e.g. `*.nfo`
+  const target = pattern.includes('/') ? filePath : filePath.slice(filePath.lastIndexOf('/') + 1)
+  return picomatch.isMatch(target, pattern, { dot: true, nocase: true })
+}
+
+// Splits on commas, except for the ones inside of glob braces like `*.{mkv,mp4}`
+function parseList (list) {
+  const tokens = []
+
+  ;[].concat(list).forEach(item => {
+    if (typeof item === 'number') return tokens.push(String(item))
+
+    let depth = 0
+    let token = ''
+    for (const char of String(item)) {
+      if (char === '{') depth += 1
+      if (char === '}') depth = Math.max(0, depth - 1)
+      if (char === ',' && depth === 0) {
+        tokens.push(token)
+        token = ''
+      } else {
+        token += char
+      }
+    }
+    tokens.push(token)
+  })
+
+  return tokens.map(token => token.trim()).filter(Boolean)
+}
+
+export { selectFiles }
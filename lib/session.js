@@ -0,0 +1,115 @@
+import fs from 'fs'
+import path from 'path'
+
+import { getConfigDir } from './config.js'
+
+// Keeps track of the torrents of a run so they can be restored with `--resume`.
+
+const SESSION_VERSION = 1
+
+class Session {
+  constructor (file) {
+    this.file = file || path.join(getConfigDir(), 'session.json')
+    // Per torrent state that can not be read back from the torrent itself,
+    // e.g. byte counters of earlier runs or the options it was added with
+    this.state = new Map()
+  }
+
+  // Returns the saved torrents as `{ torrentId, opts }` pairs for `client.add()`.
+  read () {
+    let data
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf-8'))
+    } catch (err) {
+      if (err.code === 'ENOENT') return []
+      throw new Error(`Could not read session file ${this.file}: ${err.message}`)
+    }
+
+    if (data.version !== SESSION_VERSION || !Array.isArray(data.torrents)) {
+      throw new Error(`Unsupported session file ${this.file}`)
+    }
+
+    return data.torrents.map(entry => {
+      // A torrent that was seeding when the session was saved goes on seeding
+      const keepSeeding = entry.keepSeeding || entry.seeding === true
+      this.state.set(entry.infoHash, {
+        addedAt: entry.addedAt,
+        totalDownloaded: entry.totalDownloaded || 0,
+        totalUploaded: entry.totalUploaded || 0,
+        select: entry.select,
+        keepSeeding
+      })
+
+      return {
+        torrentId: entry.torrentFile ? Buffer.from(entry.torrentFile, 'base64') : entry.magnetURI,
+        opts: {
+          path: entry.path,
+          paused: entry.paused,
+          select: entry.select,
+          keepSeeding,
+          bitfield: entry.bitfield ? Buffer.from(entry.bitfield, 'base64') : undefined
+        }
+      }
+    })
+  }
+
+  // Remembers the options a torrent was added with, e.g. `{ select, keepSeeding }`.
+  track (torrent, opts = {}) {
+    const update = () => {
+      const state = this.state.get(torrent.infoHash) || {
+        addedAt: Date.now(),
+        totalDownloaded: 0,
+        totalUploaded: 0
+      }
+      if ('select' in opts) state.select = opts.select
+      if ('keepSeeding' in opts) state.keepSeeding = opts.keepSeeding
+      this.state.set(torrent.infoHash, state)
+    }
+
+    if (torrent.infoHash) update()
+    else torrent.once('infoHash', update)
+  }
+
+  // Byte counters including earlier sessions
+  totals (torrent) {
+    const state = this.state.get(torrent.infoHash) || { totalDownloaded: 0, totalUploaded: 0 }
+    return {
+      downloaded: state.totalDownloaded + torrent.received,
+      uploaded: state.totalUploaded + torrent.uploaded
+    }
+  }
+
+  write (torrents) {
+    const entries = torrents
+      .filter(torrent => torrent.infoHash && !torrent.destroyed)
+      .map(torrent => {
+        const state = this.state.get(torrent.infoHash) || {}
+        const totals = this.totals(torrent)
+
+        return {
+          infoHash: torrent.infoHash,
+          name: torrent.name || null,
+          magnetURI: torrent.magnetURI,
+          torrentFile: torrent.torrentFile ? Buffer.from(torrent.torrentFile).toString('base64') : null,
+          path: torrent.path,
+          select: state.select,
+          keepSeeding: state.keepSeeding,
+          paused: torrent.paused,
+          seeding: torrent.done,
+          bitfield: torrent.bitfield ? Buffer.from(torrent.bitfield.buffer).toString('base64') : null,
+          totalDownloaded: totals.downloaded,
+          totalUploaded: totals.uploaded,
+          addedAt: state.addedAt || Date.now()
+        }
+      })
+
+    const data = JSON.stringify({ version: SESSION_VERSION, torrents: entries }, undefined, 2)
+
+    // Write to a temporary file first, so a crash never leaves a truncated session behind
+    fs.mkdirSync(path.dirname(this.file), { recursive: true })
+    fs.writeFileSync(`${this.file}.tmp`, data)
+    fs.renameSync(`${this.file}.tmp`, this.file)
+  }
+}
+
+export { Session }
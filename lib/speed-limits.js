@@ -0,0 +1,173 @@
+import EventEmitter from 'events'
+
+// Speed limits that change while running: a schedule read from `--schedule` and the
+// "alternative speed" limits that can be turned on and off.
+//
+//   # days     hours        limits in kB/s
+//   weekdays   09:00-18:00  down=500 up=50
+//   sat,sun    10:00-14:00  up=200
+//   daily      23:00-07:00  down=unlimited up=unlimited
+//
+// Days are `daily`, `weekdays`, `weekends`, day names or ranges of them (`mon-thu`).
+// Hours may cross midnight. The first matching line wins, limits it leaves out stay
+// at `--download-limit` and `--upload-limit`.
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+const DAY_GROUPS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+}
+
+function parseSchedule (text, { source = 'schedule' } = {}) {
+  const rules = []
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    const where = `${source}:${i + 1}`
+    const tokens = line.replace(/#.*/, '').trim().split(/\s+/).filter(Boolean)
+    if (tokens.length === 0) return
+
+    try {
+      const [days, hours, ...limits] = tokens
+      if (!hours) throw new Error('Expected days and hours, e.g. "weekdays 09:00-18:00 down=500"')
+
+      const rule = { days: parseDays(days), ...parseHours(hours), text: tokens.join(' ') }
+      limits.forEach(limit => {
+        const [key, value] = limit.split('=')
+        if (!['down', 'up'].includes(key) || value === undefined) {
+          throw new Error(`Unknown limit "${limit}", expected down= or up=`)
+        }
+        rule[key] = parseLimit(value)
+      })
+      if (rule.down === undefined && rule.up === undefined) throw new Error('Expected down= or up=')
+
+      rules.push(rule)
+    } catch (err) {
+      throw new Error(`${where}: ${err.message}`)
+    }
+  })
+
+  return rules
+}
+
+function parseDays (text) {
+  const days = new Set()
+
+  text.toLowerCase().split(',').forEach(part => {
+    if (DAY_GROUPS[part]) return DAY_GROUPS[part].forEach(day => days.add(day))
+
+    const [from, to = from] = part.split('-').map(name => DAYS.indexOf(name.slice(0, 3)))
+    if (from === -1 || to === -1) throw new Error(`Invalid days "${part}"`)
+
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day)
+      if (day === to) break
+    }
+  })
+
+  return days
+}
+
+// Hours as minutes since midnight
+function parseHours (text) {
+  const match = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(text)
+  const [start, end] = match ? [match[1] * 60 + +match[2], match[3] * 60 + +match[4]] : []
+
+  if (!match || start >= 24 * 60 || end > 24 * 60 || +match[2] > 59 || +match[4] > 59) {
+    throw new Error(`Invalid hours "${text}", use e.g. 09:00-18:00`)
+  }
+  if (start === end) throw new Error(`Empty hours "${text}"`)
+
+  return { start, end }
+}
+
+// kB/s to bytes/s, -1 means unlimited
+function parseLimit (value) {
+  if (value === 'unlimited') return -1
+
+  const limit = Number(value)
+  if (value === '' || !Number.isFinite(limit) || limit < -1) throw new Error(`Invalid speed "${value}"`)
+  return limit > 0 ? limit * 1024 : limit
+}
+
+// The first rule that applies at `date`, or null
+function activeRule (rules, date = new Date()) {
+  const day = date.getDay()
+  const minutes = date.getHours() * 60 + date.getMinutes()
+
+  return rules.find(({ days, start, end }) => {
+    if (start < end) return days.has(day) && minutes >= start && minutes < end
+    // The hours cross midnight, the part after it belongs to the day before
+    return (days.has(day) && minutes >= start) || (days.has((day + 6) % 7) && minutes < end)
+  }) || null
+}
+
+class SpeedLimits extends EventEmitter {
+  // `normal` and `alt` are `{ down, up }` in bytes/s, -1 for unlimited
+  constructor (client, { normal, alt = {}, rules = [], altEnabled = false }) {
+    super()
+    this.client = client
+    this.normal = normal
+    this.alt = alt
+    this.rules = rules
+    this.altEnabled = altEnabled
+    this.interval = null
+    this.applied = null
+  }
+
+  start () {
+    this.update()
+    if (this.rules.length > 0) {
+      this.interval = setInterval(() => this.update(), 30 * 1000)
+      this.interval.unref()
+    }
+    return this
+  }
+
+  stop () {
+    clearInterval(this.interval)
+  }
+
+  // Changes the limits that apply outside of the schedule
+  setLimits (normal) {
+    this.normal = normal
+    return this.update()
+  }
+
+  setAlt (enabled = !this.altEnabled) {
+    this.altEnabled = enabled
+    return this.update()
+  }
+
+  status (date) {
+    const rule = activeRule(this.rules, date)
+    const base = rule
+      ? { profile: 'schedule', rule: rule.text, down: pick(rule.down, this.normal.down), up: pick(rule.up, this.normal.up) }
+      : { profile: 'normal', rule: null, ...this.normal }
+
+    if (!this.altEnabled) return { ...base, alt: false }
+    return { profile: 'alt', rule: base.rule, alt: true, down: pick(this.alt.down, base.down), up: pick(this.alt.up, base.up) }
+  }
+
+  // Applies the limits that should be active now, emits `change` when they differ
+  update () {
+    const status = this.status()
+    const { applied } = this
+
+    if (!applied || applied.down !== status.down) this.client.throttleDownload(status.down)
+    if (!applied || applied.up !== status.up) this.client.throttleUpload(status.up)
+
+    this.applied = status
+    if (applied && (applied.profile !== status.profile || applied.rule !== status.rule ||
+      applied.down !== status.down || applied.up !== status.up)) {
+      this.emit('change', status)
+    }
+    return status
+  }
+}
+
+function pick (value, fallback) {
+  return value === undefined ? fallback : value
+}
+
+export { SpeedLimits, activeRule, parseSchedule }
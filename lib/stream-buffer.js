@@ -0,0 +1,182 @@
+// Downloads the pieces just ahead of where a file is read first, for `--stream-buffer`, and
+// the first and last pieces of the files before the rest, for `--sequential` too. Players
+// read the header and the index of a container from there before they play anything.
+//
+// The pieces are fetched with a read stream of their part of the file, which selects them
+// above the rest of the file like the streams of the http server do, and are marked critical.
+// Plain selections are merged into the selection of the file and would lose their priority.
+
+// Bytes at the start and the end of a file that are downloaded first
+const PRELOAD_LENGTH = 1000 * 1000
+
+class StreamBuffer {
+  // `size` is the number of bytes kept ahead of the read position, no window when 0
+  constructor (torrent, { size = 0, interval = 1000 } = {}) {
+    this.torrent = torrent
+    this.size = size
+    this.files = []
+    // `{ file, position }` of the last read of one of the files
+    this.reading = null
+    // `{ from, to }` of the pieces fetched ahead of the read position
+    this.window = null
+
+    this._fetches = new Set()
+    this._windowFetch = null
+    this._onStream = new Map()
+
+    // Pieces come in without reads, e.g. before a player started
+    this._interval = setInterval(() => this.update(), interval)
+    this._interval.unref()
+  }
+
+  // The files to buffer, the ones that were not buffered before are preloaded
+  setFiles (files) {
+    files = files.filter(file => file.length > 0)
+    const added = files.filter(file => !this.files.includes(file))
+    this.files.filter(file => !files.includes(file)).forEach(file => this._untrack(file))
+    this.files = files
+    if (this.reading && !this.files.includes(this.reading.file)) this.reading = null
+
+    added.forEach(file => {
+      this._track(file)
+      this._preload(file)
+    })
+    this.update()
+  }
+
+  // Follows a stream of `file` that reads it from `start`, e.g. of `file.createReadStream()`
+  follow (file, stream, start = 0) {
+    if (!this.files.includes(file)) return
+
+    let position = start
+    this._read(file, position)
+    stream.on('data', chunk => {
+      position += chunk.length
+      this._read(file, position)
+    })
+  }
+
+  // Moves the window to the pieces after the read position that are still missing
+  update () {
+    const torrent = this.torrent
+    if (!this.size || torrent.destroyed || !torrent.pieces) return
+
+    const target = this._target()
+    let window = null
+    if (target) {
+      const { file, position } = target
+      const end = Math.min(file.length, position + this.size)
+      let from = this._pieceOf(file, position)
+      const to = this._pieceOf(file, end - 1)
+      while (from <= to && torrent.bitfield.get(from)) from++
+      if (from <= to) window = { from, to }
+    }
+
+    if (sameWindow(window, this.window)) return
+    if (this._windowFetch) this._windowFetch.destroy()
+    this._windowFetch = window ? this._fetch(target.file, window.from, window.to) : null
+    this.window = window
+  }
+
+  // `{ file, position, buffered, size }` with the bytes after the read position that are
+  // downloaded, up to `size`, or null when there is nothing to buffer
+  status () {
+    const target = this.size && this.torrent.pieces ? this._target() : null
+    if (!target) return null
+
+    const { file, position } = target
+    const end = Math.min(file.length, position + this.size)
+    let buffered = position
+    for (let piece = this._pieceOf(file, position); buffered < end && this.torrent.bitfield.get(piece); piece++) {
+      buffered = Math.min(end, (piece + 1) * this.torrent.pieceLength - file.offset)
+    }
+
+    return { file, position, buffered: buffered - position, size: end - position }
+  }
+
+  destroy () {
+    clearInterval(this._interval)
+    this.files.forEach(file => this._untrack(file))
+    this._fetches.forEach(stream => stream.destroy())
+    if (this._windowFetch) this._windowFetch.destroy()
+    this._windowFetch = null
+    this.window = null
+    this.files = []
+  }
+
+  // The file that was read last, or the start of the first file that is not done
+  _target () {
+    if (this.reading) return this.reading
+    const file = this.files.find(file => !file.done)
+    return file ? { file, position: 0 } : null
+  }
+
+  // Follows the streams of the http server, from the `stream` events of the file. The data
+  // is followed once the server pipes it, a listener before would start the stream early.
+  _track (file) {
+    const onStream = ({ stream, req }) => {
+      stream.once('piping', () => this.follow(file, stream, rangeStart(req, file)))
+    }
+    this._onStream.set(file, onStream)
+    file.on('stream', onStream)
+  }
+
+  _untrack (file) {
+    file.removeListener('stream', this._onStream.get(file))
+    this._onStream.delete(file)
+  }
+
+  _read (file, position) {
+    const moved = !this.reading || this.reading.file !== file ||
+      this._pieceOf(file, this.reading.position) !== this._pieceOf(file, position)
+    this.reading = { file, position }
+    if (moved) this.update()
+  }
+
+  _preload (file) {
+    const length = Math.min(file.length, PRELOAD_LENGTH)
+    const ranges = [[0, length - 1], [file.length - length, file.length - 1]]
+
+    ranges.forEach(([start, end]) => {
+      const from = this._pieceOf(file, start)
+      const to = this._pieceOf(file, end)
+      for (let piece = from; piece <= to; piece++) {
+        if (!this.torrent.bitfield.get(piece)) {
+          const stream = this._fetch(file, from, to)
+          this._fetches.add(stream)
+          return stream.once('close', () => this._fetches.delete(stream))
+        }
+      }
+    })
+  }
+
+  // Reads the part of a file in the pieces `from` to `to` and drops the data
+  _fetch (file, from, to) {
+    const start = Math.max(0, from * this.torrent.pieceLength - file.offset)
+    const end = Math.min(file.length, (to + 1) * this.torrent.pieceLength - file.offset) - 1
+    this.torrent.critical(from, to)
+
+    const stream = file.createReadStream({ start, end })
+    stream.on('error', () => {}) // When the torrent is removed
+    stream.resume()
+    return stream
+  }
+
+  _pieceOf (file, position) {
+    return Math.floor((file.offset + position) / this.torrent.pieceLength)
+  }
+}
+
+// The first byte of the range of a request for a file
+function rangeStart (req, file) {
+  const range = /^bytes=(\d*)-(\d*)/.exec((req && req.headers.range) || '')
+  if (!range) return 0
+  if (range[1] === '') return Math.max(0, file.length - Number(range[2]))
+  return Math.min(Number(range[1]), file.length)
+}
+
+function sameWindow (a, b) {
+  return a === b || (!!a && !!b && a.from === b.from && a.to === b.to)
+}
+
+export { StreamBuffer }
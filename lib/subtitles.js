@@ -0,0 +1,180 @@
+import mime from 'mime'
+import path from 'path'
+import { toVtt } from './vtt.js'
+
+// Finds the subtitles that torrents ship next to their videos, e.g. `Movie.en.srt` or
+// `Subs/Movie/2_English.srt` for `Movie.mkv`, and serves them as WebVTT.
+
+const SUBTITLES_PATH = '/subtitles/'
+
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt', '.ass', '.ssa']
+
+// Folders that torrents keep their subtitles in
+const SUBTITLE_FOLDERS = ['sub', 'subs', 'subtitle', 'subtitles']
+
+// ISO 639-1 codes with the ISO 639-2 codes and names they show up as in file names
+const LANGUAGES = {
+  ar: ['ara', 'arabic'],
+  bg: ['bul', 'bulgarian'],
+  cs: ['ces', 'cze', 'czech'],
+  da: ['dan', 'danish'],
+  de: ['deu', 'ger', 'german', 'deutsch'],
+  el: ['ell', 'gre', 'greek'],
+  en: ['eng', 'english'],
+  es: ['spa', 'spanish', 'espanol', 'español'],
+  fi: ['fin', 'finnish'],
+  fr: ['fra', 'fre', 'french', 'francais', 'français'],
+  he: ['heb', 'hebrew'],
+  hi: ['hin', 'hindi'],
+  hr: ['hrv', 'croatian'],
+  hu: ['hun', 'hungarian'],
+  id: ['ind', 'indonesian'],
+  it: ['ita', 'italian', 'italiano'],
+  ja: ['jpn', 'japanese'],
+  ko: ['kor', 'korean'],
+  nl: ['nld', 'dut', 'dutch'],
+  no: ['nor', 'nob', 'norwegian'],
+  pl: ['pol', 'polish'],
+  pt: ['por', 'portuguese', 'pob', 'pb'],
+  ro: ['ron', 'rum', 'romanian'],
+  ru: ['rus', 'russian'],
+  sk: ['slk', 'slo', 'slovak'],
+  sr: ['srp', 'serbian'],
+  sv: ['swe', 'swedish'],
+  th: ['tha', 'thai'],
+  tr: ['tur', 'turkish'],
+  uk: ['ukr', 'ukrainian'],
+  vi: ['vie', 'vietnamese'],
+  zh: ['zho', 'chi', 'chinese', 'chs', 'cht']
+}
+
+const LANGUAGE_CODES = new Map(Object.entries(LANGUAGES).flatMap(([code, names]) => {
+  return [code, ...names].map(name => [name, code])
+}))
+
+function isSubtitleFile (name) {
+  return SUBTITLE_EXTENSIONS.includes(path.extname(name).toLowerCase())
+}
+
+// The ISO 639-1 code of a language code or name, e.g. `eng` or `English`, or null
+function languageCode (name) {
+  return LANGUAGE_CODES.get(String(name).toLowerCase()) || null
+}
+
+// The language of a subtitle file from the words of its name, last word first
+function subtitleLanguage (name) {
+  return languageOf(stem(name))
+}
+
+function languageOf (text) {
+  const words = text.split(/[\s._\-[\]()]+/).filter(Boolean)
+  for (let i = words.length - 1; i >= 0; i--) {
+    const code = languageCode(words[i])
+    if (code) return code
+  }
+  return null
+}
+
+// Returns `{ file, lang }` for the subtitle files among `files` that belong to `video`, in
+// the order of the `langs` preference (ISO 639-1 codes), then the others
+function findSubtitles (files, video, { langs = [] } = {}) {
+  const videoDir = path.posix.dirname(toPosix(video.path))
+  const videoName = stem(video.name)
+  const otherVideos = files.filter(file => file !== video && /^video\//.test(mime.getType(file.name) || ''))
+
+  // The part of the name that tells the language, e.g. `.en` of `Movie.en.srt`, or null
+  // when the file doesn't belong to the video
+  const label = file => {
+    const dir = path.posix.dirname(toPosix(file.path))
+    const name = stem(file.name)
+    const suffix = name === videoName || hasPrefix(name, videoName) ? name.slice(videoName.length) : null
+
+    // `Movie.srt`, `Movie.en.srt` or `Movie - English.srt` next to `Movie.mkv`
+    if (dir === videoDir) return suffix
+
+    // `Subs/Movie/English.srt`, or `Subs/English.srt` when there is only one video
+    const parts = path.posix.relative(videoDir, dir).split('/')
+    if (!SUBTITLE_FOLDERS.includes(parts[0].toLowerCase())) return null
+    if (parts.length === 1) return suffix !== null ? suffix : otherVideos.length === 0 ? name : null
+    return parts.length === 2 && parts[1] === videoName ? name : null
+  }
+
+  const matches = files
+    .filter(file => isSubtitleFile(file.name) && label(file) !== null)
+    .map(file => ({ file, lang: languageOf(label(file)) }))
+
+  const rank = ({ lang }) => {
+    const index = langs.indexOf(lang)
+    return index === -1 ? langs.length : index
+  }
+  // Array.prototype.sort is stable, so files keep the torrent order within a language
+  return matches.sort((a, b) => rank(a) - rank(b))
+}
+
+// Path of the WebVTT version of a subtitle file of a torrent, served by the subtitles handler
+function subtitlesPath (torrent, file) {
+  return `${SUBTITLES_PATH}${torrent.infoHash}/${torrent.files.indexOf(file)}.vtt`
+}
+
+// Request handler for `subtitlesPath()`, with a `handles(req)` check for the paths it
+// serves. `offset` shifts the subtitles by that many seconds.
+function createSubtitlesHandler (client, { offset = 0 } = {}) {
+  function handles (req) {
+    return new URL(req.url, 'http://localhost').pathname.startsWith(SUBTITLES_PATH)
+  }
+
+  function handler (req, res) {
+    const pathname = new URL(req.url, 'http://localhost').pathname
+    const [, infoHash, index] = /^\/subtitles\/([0-9a-f]{40})\/(\d+)\.vtt$/i.exec(pathname) || []
+    const torrent = infoHash && client.torrents.find(torrent => torrent.infoHash === infoHash.toLowerCase())
+    const file = torrent && torrent.files && torrent.files[index]
+
+    if (!file || !isSubtitleFile(file.name)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' })
+      return res.end('Subtitles not found\n')
+    }
+
+    serveVtt(req, res, { name: file.name, offset, load: async () => Buffer.from(await file.arrayBuffer()) })
+  }
+
+  handler.handles = handles
+  return handler
+}
+
+// Responds with the subtitles that `load()` resolves to, converted to WebVTT
+async function serveVtt (req, res, { name, offset, load }) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { Allow: 'GET, HEAD' })
+    return res.end()
+  }
+
+  let body
+  try {
+    body = toVtt(await load(), { name, offset })
+  } catch (err) {
+    res.writeHead(500, { 'Content-Type': 'text/plain' })
+    return res.end(`Could not read subtitles: ${err.message}\n`)
+  }
+
+  // Cast devices load the subtitles from another origin
+  res.writeHead(200, {
+    'Content-Type': 'text/vtt; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+    'Access-Control-Allow-Origin': '*'
+  })
+  res.end(req.method === 'HEAD' ? null : body)
+}
+
+function hasPrefix (name, prefix) {
+  return name.toLowerCase().startsWith(prefix.toLowerCase()) && /^[\s._-]/.test(name.slice(prefix.length))
+}
+
+function stem (name) {
+  return path.basename(name, path.extname(name))
+}
+
+function toPosix (file) {
+  return file.replace(/\\/g, '/')
+}
+
+export { createSubtitlesHandler, findSubtitles, isSubtitleFile, languageCode, serveVtt, stem, subtitleLanguage, subtitlesPath }
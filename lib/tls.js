@@ -0,0 +1,76 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import net from 'net'
+import path from 'path'
+import selfsigned from 'selfsigned'
+
+import { getConfigDir } from './config.js'
+
+// Certificates for serving streams over https: read from `--tls-cert` and `--tls-key`,
+// or made up for `--tls-self-signed`.
+
+// Renew self-signed certificates that expire within this time
+const RENEW_BEFORE = 7 * 24 * 60 * 60 * 1000
+const VALID_FOR = 365 * 24 * 60 * 60 * 1000
+
+// Returns `{ cert, key }` for `https.createServer()`
+function readCertificate (certFile, keyFile) {
+  let cert, key
+  try {
+    cert = fs.readFileSync(certFile)
+    key = fs.readFileSync(keyFile)
+  } catch (err) {
+    throw new Error(`Could not read TLS certificate: ${err.message}`)
+  }
+
+  let matches
+  try {
+    matches = new crypto.X509Certificate(cert).checkPrivateKey(crypto.createPrivateKey(key))
+  } catch (err) {
+    throw new Error(`Invalid TLS certificate or key: ${err.message}`)
+  }
+  if (!matches) throw new Error(`TLS key ${keyFile} does not belong to certificate ${certFile}`)
+
+  return { cert, key }
+}
+
+// Returns `{ cert, key }` valid for all `hosts` (names or IP addresses). The certificate is
+// kept in `dir`, so it only has to be trusted once, and renewed when it doesn't fit anymore.
+async function selfSignedCertificate (hosts, dir = getConfigDir()) {
+  const certFile = path.join(dir, 'tls-cert.pem')
+  const keyFile = path.join(dir, 'tls-key.pem')
+
+  try {
+    const saved = readCertificate(certFile, keyFile)
+    if (isUsable(new crypto.X509Certificate(saved.cert), hosts)) return saved
+  } catch (err) {
+    // Missing or broken, make a new one
+  }
+
+  const now = Date.now()
+  const pems = await selfsigned.generate([{ name: 'commonName', value: 'WebTorrent' }], {
+    keyType: 'ec',
+    curve: 'P-256',
+    notBeforeDate: new Date(now),
+    notAfterDate: new Date(now + VALID_FOR),
+    extensions: [
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+      { name: 'extKeyUsage', serverAuth: true },
+      { name: 'subjectAltName', altNames: hosts.map(host => net.isIP(host) ? { type: 7, ip: host } : { type: 2, value: host }) }
+    ]
+  })
+
+  fs.mkdirSync(dir, { recursive: true })
+  fs.writeFileSync(keyFile, pems.private, { mode: 0o600 })
+  fs.writeFileSync(certFile, pems.cert)
+
+  return { cert: pems.cert, key: pems.private }
+}
+
+function isUsable (x509, hosts) {
+  if (Date.parse(x509.validTo) - Date.now() < RENEW_BEFORE) return false
+  return hosts.every(host => net.isIP(host) ? x509.checkIP(host) : x509.checkHost(host))
+}
+
+export { readCertificate, selfSignedCertificate }
@@ -0,0 +1,456 @@
+import chalk from 'chalk'
+import EventEmitter from 'events'
+import moment from 'moment'
+import prettierBytes from 'prettier-bytes'
+import readline from 'readline'
+import { stripVTControlCharacters } from 'util'
+
+// Full-screen terminal UI for `--tui`. It takes over the terminal (alternate screen, raw
+// keyboard input) and shows the running torrents with their files, peers and pieces.
+//
+// Emits `quit` when the user asks to exit.
+
+const VIEWS = ['files', 'peers', 'pieces']
+
+// Speed limit steps for the `d`/`D` and `u`/`U` keys, in bytes/s
+const SPEED_STEPS = [10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000].map(kB => kB * 1024)
+
+const HELP = [
+  ['← →', 'Switch torrent'],
+  ['tab', 'Switch between files, peers and pieces'],
+  ['↑ ↓ pgup pgdn', 'Move the cursor'],
+  ['s / r', 'Sort by the next column / reverse the order'],
+  ['p', 'Pause or resume the torrent'],
+  ['space', 'Select or deselect the file under the cursor'],
+  ['a', 'Turn alternative speed on or off'],
+  ['d / D', 'Lower / raise the download limit'],
+  ['u / U', 'Lower / raise the upload limit'],
+  ['q', 'Quit'],
+  ['?', 'Show or hide this help']
+]
+
+const FILE_COLUMNS = [
+  { title: '#', width: 5, value: (file, index) => index },
+  { title: 'Sel', width: 4 },
+  { title: 'Progress', width: 23, value: file => file.progress, format: file => `${progressBar(file.progress, 16)} ${percent(file.progress).padStart(4)}` },
+  { title: 'Size', width: 10, value: file => file.length, format: file => prettierBytes(file.length) },
+  { title: 'Name', value: file => file.path.toLowerCase(), format: file => file.path }
+]
+
+const PEER_COLUMNS = [
+  { title: 'Address', width: 30, value: wire => address(wire) },
+  { title: 'Type', width: 8, value: wire => wireType(wire) },
+  { title: 'Has', width: 5, value: (wire, torrent) => peerProgress(wire, torrent), format: (wire, torrent) => percent(peerProgress(wire, torrent)) },
+  { title: 'Down', width: 12, value: wire => wire.downloadSpeed(), format: wire => `${prettierBytes(wire.downloadSpeed())}/s` },
+  { title: 'Up', width: 12, value: wire => wire.uploadSpeed(), format: wire => `${prettierBytes(wire.uploadSpeed())}/s` },
+  { title: 'Downloaded', width: 11, value: wire => wire.downloaded, format: wire => prettierBytes(wire.downloaded) },
+  { title: 'Uploaded', width: 10, value: wire => wire.uploaded, format: wire => prettierBytes(wire.uploaded) },
+  { title: 'Flags', value: wire => peerFlags(wire) }
+]
+
+class Tui extends EventEmitter {
+  // `fileSelections` maps torrents to `{ get, set }` for their selected file indexes,
+  // `status(torrent)` returns extra lines for the header
+  constructor ({ stdin = process.stdin, stdout = process.stdout, speedLimits, fileSelections = new Map(), status = () => [] } = {}) {
+    super()
+    this.stdin = stdin
+    this.stdout = stdout
+    this.speedLimits = speedLimits
+    this.fileSelections = fileSelections
+    this.status = status
+
+    this.torrents = []
+    this.current = 0
+    this.view = 'files'
+    this.help = false
+    this.message = null
+    this.cursor = { files: 0, peers: 0 }
+    this.sort = { files: { column: 0, desc: false }, peers: { column: 3, desc: true } }
+
+    this.render = this.render.bind(this)
+    this._onKeypress = (str, key) => this.handleKey(key || { name: str })
+  }
+
+  start () {
+    this.stdout.write('\x1b[?1049h\x1b[?25l')
+    readline.emitKeypressEvents(this.stdin)
+    if (this.stdin.isTTY) this.stdin.setRawMode(true)
+    this.stdin.on('keypress', this._onKeypress)
+    this.stdin.resume()
+    this.stdout.on('resize', this.render)
+
+    this.interval = setInterval(this.render, 1000)
+    this.interval.unref()
+    this.render()
+    return this
+  }
+
+  close () {
+    if (!this.interval) return
+    clearInterval(this.interval)
+    this.interval = null
+
+    this.stdin.removeListener('keypress', this._onKeypress)
+    if (this.stdin.isTTY) this.stdin.setRawMode(false)
+    this.stdin.pause()
+    this.stdout.removeListener('resize', this.render)
+    this.stdout.write('\x1b[?25h\x1b[?1049l')
+  }
+
+  add (torrent) {
+    if (this.torrents.includes(torrent)) return
+    this.torrents.push(torrent)
+    torrent.once('close', () => {
+      const index = this.torrents.indexOf(torrent)
+      this.torrents.splice(index, 1)
+      if (this.current >= index && this.current > 0) this.current -= 1
+      this.render()
+    })
+    this.render()
+  }
+
+  // Shows a message until the next key is pressed
+  showMessage (message) {
+    this.message = message
+    this.render()
+  }
+
+  handleKey (key) {
+    const torrent = this.torrents[this.current]
+    const rows = this.tableRows()
+    const page = Math.max(1, this.tableHeight() - 1)
+    this.message = null
+
+    // Keys like `?` only have a sequence, shifted letters are told apart by case
+    const name = key.name || key.sequence || ''
+    if ((key.ctrl && name === 'c') || name === 'q') return this.emit('quit')
+
+    switch (key.shift && name.length === 1 ? name.toUpperCase() : name) {
+      case '?':
+        this.help = !this.help
+        break
+      case 'left':
+      case 'right':
+        if (this.torrents.length > 0) {
+          const step = name === 'left' ? -1 : 1
+          this.current = (this.current + step + this.torrents.length) % this.torrents.length
+          this.cursor = { files: 0, peers: 0 }
+        }
+        break
+      case 'tab':
+        this.view = VIEWS[(VIEWS.indexOf(this.view) + 1) % VIEWS.length]
+        break
+      case 'up':
+      case 'down':
+      case 'pageup':
+      case 'pagedown':
+        if (this.view !== 'pieces') {
+          const step = { up: -1, down: 1, pageup: -page, pagedown: page }[name]
+          this.cursor[this.view] = clamp(this.cursor[this.view] + step, 0, rows.length - 1)
+        }
+        break
+      case 's':
+      case 'r':
+        if (this.view !== 'pieces') {
+          const sort = this.sort[this.view]
+          const columns = this.view === 'files' ? FILE_COLUMNS : PEER_COLUMNS
+          if (name === 'r') {
+            sort.desc = !sort.desc
+          } else {
+            do {
+              sort.column = (sort.column + 1) % columns.length
+            } while (!columns[sort.column].value)
+          }
+        }
+        break
+      case 'p':
+        if (torrent) {
+          if (torrent.paused) torrent.resume()
+          else torrent.pause()
+        }
+        break
+      case 'space':
+        if (torrent && this.view === 'files') this.toggleFile(torrent, rows[this.cursor.files])
+        break
+      case 'a':
+        if (this.speedLimits) {
+          const { alt } = this.speedLimits.setAlt()
+          this.message = `Alternative speed is ${alt ? 'on' : 'off'}`
+        }
+        break
+      case 'd':
+      case 'D':
+      case 'u':
+      case 'U':
+        if (this.speedLimits) this.changeLimit(name, key.shift ? 1 : -1)
+        break
+    }
+
+    this.render()
+  }
+
+  toggleFile (torrent, row) {
+    const selection = this.fileSelections.get(torrent)
+    if (!row) return
+    if (!selection) {
+      this.message = 'The files of this torrent can not be changed'
+      return
+    }
+
+    const indexes = selection.get()
+    const selected = indexes.includes(row.index)
+      ? indexes.filter(index => index !== row.index)
+      : indexes.concat(row.index).sort((a, b) => a - b)
+
+    if (selected.length === 0) {
+      this.message = 'At least one file has to be selected'
+      return
+    }
+    selection.set(selected)
+  }
+
+  changeLimit (direction, step) {
+    const key = direction === 'd' ? 'down' : 'up'
+    const limits = { ...this.speedLimits.normal, [key]: stepLimit(this.speedLimits.normal[key], step) }
+    const { profile } = this.speedLimits.setLimits(limits)
+
+    const name = key === 'down' ? 'Download' : 'Upload'
+    const active = profile === 'normal' ? '' : ` (${profile} limits are active)`
+    this.message = `${name} limit set to ${formatLimit(limits[key])}${active}`
+  }
+
+  tableHeight () {
+    return Math.max(1, (this.stdout.rows || 24) - this.headerLines().length - 5)
+  }
+
+  // The rows of the current view, sorted. Files are `{ file, index }`, peers are wires.
+  tableRows () {
+    const torrent = this.torrents[this.current]
+    if (!torrent || this.view === 'pieces') return []
+
+    const columns = this.view === 'files' ? FILE_COLUMNS : PEER_COLUMNS
+    const { column, desc } = this.sort[this.view]
+    const { value } = columns[column]
+
+    const rows = this.view === 'files'
+      ? (torrent.files || []).map((file, index) => ({ file, index, key: value(file, index) }))
+      : torrent.wires.map(wire => ({ wire, key: value(wire, torrent) }))
+
+    return rows.sort((a, b) => {
+      const order = typeof a.key === 'string' ? a.key.localeCompare(b.key) : a.key - b.key
+      return desc ? -order : order
+    })
+  }
+
+  headerLines () {
+    const torrent = this.torrents[this.current]
+    const width = this.stdout.columns || 80
+
+    const title = torrent
+      ? `WebTorrent  [${this.current + 1}/${this.torrents.length}] ${torrent.name || torrent.infoHash}`
+      : 'WebTorrent'
+    const lines = [chalk.inverse(fit(title, width))]
+    if (!torrent) return lines
+
+    const state = torrent.paused ? 'Paused' : !torrent.ready ? 'Fetching metadata' : torrent.done ? 'Seeding' : 'Downloading'
+    const estimate = !torrent.done && Number.isFinite(torrent.timeRemaining)
+      ? moment.duration(torrent.timeRemaining).humanize()
+      : 'N/A'
+
+    lines.push(
+      chalk`{green ${state.padEnd(18)}} ${progressBar(torrent.progress, Math.min(30, Math.max(10, width - 60)))} {bold ${percent(torrent.progress)}}  ${prettierBytes(torrent.downloaded)} / ${prettierBytes(torrent.length || 0)}`,
+      chalk`{green Down:} {bold ${prettierBytes(torrent.downloadSpeed)}/s}  {green Up:} {bold ${prettierBytes(torrent.uploadSpeed)}/s}  {green Uploaded:} {bold ${prettierBytes(torrent.uploaded)}}  {green Peers:} {bold ${torrent.numPeers}}  {green Time remaining:} {bold ${estimate}}`,
+      ...this.status(torrent)
+    )
+    return lines
+  }
+
+  render () {
+    if (!this.interval) return
+
+    const width = this.stdout.columns || 80
+    const height = this.stdout.rows || 24
+    const torrent = this.torrents[this.current]
+    const lines = this.headerLines()
+
+    lines.push('')
+    if (this.help) {
+      lines.push(chalk.bold('Keys'))
+      HELP.forEach(([keys, desc]) => lines.push(chalk`  {bold ${keys.padEnd(16)}} ${desc}`))
+      lines.push('', '  Peer flags: D downloading, d choked by peer, U uploading, u peer is choked')
+    } else if (torrent) {
+      lines.push(VIEWS.map(view => view === this.view ? chalk.inverse(` ${capitalize(view)} `) : ` ${capitalize(view)} `).join(' '))
+      lines.push(...this.renderView(torrent, width, this.tableHeight()))
+    } else {
+      lines.push('No torrents')
+    }
+
+    // Keep the footer at the bottom of the screen
+    while (lines.length < height - 1) lines.push('')
+    lines.length = height - 1
+    lines.push(this.message
+      ? chalk.yellow(fit(this.message, width))
+      : chalk.dim(fit('←→ torrent  tab view  ↑↓ move  s sort  p pause  space select  ? help  q quit', width)))
+
+    this.stdout.write(`\x1b[H${lines.map(line => `${fitLine(line, width)}\x1b[K`).join('\n')}\x1b[J`)
+  }
+
+  renderView (torrent, width, height) {
+    if (this.view === 'pieces') {
+      if (!torrent.ready) return ['Waiting for metadata']
+      return [
+        ...pieceMap(torrent, width, height - 1),
+        chalk`{green █} downloaded  {green ▓} partly downloaded  {blue ░} available  {red ·} no peer has it`
+      ]
+    }
+
+    const columns = this.view === 'files' ? FILE_COLUMNS : PEER_COLUMNS
+    const rows = this.tableRows()
+    const cursor = this.cursor[this.view] = clamp(this.cursor[this.view], 0, rows.length - 1)
+    const selection = this.fileSelections.get(torrent)
+    const selected = selection ? selection.get() : null
+
+    // Columns without a width take the rest of the line
+    const fixed = columns.reduce((sum, col) => sum + (col.width || 0), 0)
+    const cell = (text, col) => fit(text, col.width || Math.max(4, width - fixed))
+
+    const { column, desc } = this.sort[this.view]
+    const header = columns.map((col, i) => cell(i === column ? `${col.title} ${desc ? '↓' : '↑'}` : col.title, col))
+    const lines = [chalk.bold(header.join(''))]
+
+    // Scroll so the cursor stays visible
+    const visible = height - 1
+    const start = clamp(cursor - Math.floor(visible / 2), 0, Math.max(0, rows.length - visible))
+
+    rows.slice(start, start + visible).forEach((row, i) => {
+      const cells = columns.map(col => {
+        let text
+        if (this.view === 'files') {
+          text = col.title === 'Sel'
+            ? (!selected || selected.includes(row.index) ? '[x]' : '[ ]')
+            : col.format ? col.format(row.file, row.index) : String(col.value(row.file, row.index))
+        } else {
+          text = col.format ? col.format(row.wire, torrent) : String(col.value(row.wire, torrent))
+        }
+        return cell(text, col)
+      })
+
+      const line = fit(cells.join(''), width)
+      lines.push(start + i === cursor ? chalk.inverse(line) : line)
+    })
+
+    if (rows.length === 0) lines.push(this.view === 'files' ? 'Waiting for metadata' : 'No peers')
+    return lines
+  }
+}
+
+// Pads or cuts plain text to exactly `width` characters
+function fit (text, width) {
+  return text.length > width ? `${text.slice(0, Math.max(0, width - 1))}…` : text.padEnd(width)
+}
+
+// Colored lines that don't fit on the screen lose their colors, so they can be cut
+function fitLine (line, width) {
+  const plain = stripVTControlCharacters(line)
+  return plain.length > width ? fit(plain, width) : line
+}
+
+function progressBar (progress, width) {
+  const filled = Math.round(clamp(progress, 0, 1) * width)
+  return '█'.repeat(filled) + '░'.repeat(width - filled)
+}
+
+// One character for every group of pieces: what we have, and how many peers have them
+function pieceMap (torrent, width, height) {
+  const numPieces = torrent.pieces.length
+  const perCell = Math.max(1, Math.ceil(numPieces / (width * Math.max(1, height))))
+  const cells = []
+
+  for (let start = 0; start < numPieces; start += perCell) {
+    const end = Math.min(start + perCell, numPieces)
+    let have = 0
+    let available = 0
+
+    for (let i = start; i < end; i++) {
+      if (torrent.bitfield.get(i)) have += 1
+      else if (torrent.wires.some(wire => wire.peerPieces.get(i))) available += 1
+    }
+
+    const count = end - start
+    if (have === count) cells.push(chalk.green('█'))
+    else if (have > 0) cells.push(chalk.green('▓'))
+    else if (available > 0) cells.push(chalk.blue('░'))
+    else cells.push(chalk.red('·'))
+  }
+
+  const lines = []
+  for (let i = 0; i < cells.length; i += width) {
+    lines.push(cells.slice(i, i + width).join(''))
+  }
+  return lines
+}
+
+// Next lower (`step < 0`) or higher speed limit, -1 is unlimited
+function stepLimit (limit, step) {
+  if (step < 0) {
+    const lower = SPEED_STEPS.filter(s => limit < 0 || s < limit)
+    return lower.length > 0 ? lower[lower.length - 1] : SPEED_STEPS[0]
+  }
+  if (limit < 0) return -1
+  const higher = SPEED_STEPS.find(s => s > limit)
+  return higher === undefined ? -1 : higher
+}
+
+function formatLimit (limit) {
+  return limit < 0 ? 'unlimited' : `${prettierBytes(limit)}/s`
+}
+
+function peerProgress (wire, torrent) {
+  const numPieces = torrent.pieces ? torrent.pieces.length : 0
+  if (!numPieces) return 0
+
+  let bits = 0
+  for (let i = 0; i < numPieces; i++) {
+    if (wire.peerPieces.get(i)) bits++
+  }
+  return bits / numPieces
+}
+
+// D downloading from the peer, d interested but choked by the peer,
+// U uploading to the peer, u peer is interested but choked by us
+function peerFlags (wire) {
+  let flags = ''
+  if (wire.amInterested) flags += wire.peerChoking ? 'd' : 'D'
+  if (wire.peerInterested) flags += wire.amChoking ? 'u' : 'U'
+  return flags
+}
+
+function address (wire) {
+  return wire.remoteAddress ? `${wire.remoteAddress}:${wire.remotePort}` : 'Unknown'
+}
+
+function wireType (wire) {
+  const types = {
+    webSeed: 'WEBSEED',
+    webrtc: 'WEBRTC',
+    tcpIncoming: 'TCPIN',
+    tcpOutgoing: 'TCPOUT',
+    utpIncoming: 'UTPIN',
+    utpOutgoing: 'UTPOUT'
+  }
+  return types[wire.type] || 'UNKNOWN'
+}
+
+function percent (progress) {
+  return `${Math.floor(progress * 100)}%`
+}
+
+function capitalize (text) {
+  return text[0].toUpperCase() + text.slice(1)
+}
+
+function clamp (value, min, max) {
+  return Math.max(min, Math.min(max, value))
+}
+
+export { Tui, fit, pieceMap, progressBar, stepLimit }
@@ -0,0 +1,464 @@
+import crypto from 'crypto'
+import dgram from 'dgram'
+import EventEmitter from 'events'
+import mime from 'mime'
+import { readText } from './api.js'
+import { escapeXml } from './playlist.js'
+import { stem } from './subtitles.js'
+
+// UPnP MediaServer for `--upnp-server`. Smart TVs and other renderers find the client over
+// SSDP and browse the media files of the torrents through the ContentDirectory service,
+// then play the file streams of the torrent server.
+
+const UPNP_PATH = '/upnp/'
+const DESCRIPTION_PATH = `${UPNP_PATH}description.xml`
+
+const DEVICE_TYPE = 'urn:schemas-upnp-org:device:MediaServer:1'
+const CONTENT_DIRECTORY = 'urn:schemas-upnp-org:service:ContentDirectory:1'
+const CONNECTION_MANAGER = 'urn:schemas-upnp-org:service:ConnectionManager:1'
+
+const SSDP_ADDRESS = '239.255.255.250'
+const SSDP_PORT = 1900
+const MAX_AGE = 1800
+
+const SERVICES = [
+  { type: CONTENT_DIRECTORY, id: 'urn:upnp-org:serviceId:ContentDirectory', name: 'content-directory' },
+  { type: CONNECTION_MANAGER, id: 'urn:upnp-org:serviceId:ConnectionManager', name: 'connection-manager' }
+]
+
+const CONTENT_DIRECTORY_SCPD = scpd([
+  ['Browse', [
+    ['ObjectID', 'in', 'A_ARG_TYPE_ObjectID'],
+    ['BrowseFlag', 'in', 'A_ARG_TYPE_BrowseFlag'],
+    ['Filter', 'in', 'A_ARG_TYPE_Filter'],
+    ['StartingIndex', 'in', 'A_ARG_TYPE_Index'],
+    ['RequestedCount', 'in', 'A_ARG_TYPE_Count'],
+    ['SortCriteria', 'in', 'A_ARG_TYPE_SortCriteria'],
+    ['Result', 'out', 'A_ARG_TYPE_Result'],
+    ['NumberReturned', 'out', 'A_ARG_TYPE_Count'],
+    ['TotalMatches', 'out', 'A_ARG_TYPE_Count'],
+    ['UpdateID', 'out', 'A_ARG_TYPE_UpdateID']
+  ]],
+  ['GetSearchCapabilities', [['SearchCaps', 'out', 'SearchCapabilities']]],
+  ['GetSortCapabilities', [['SortCaps', 'out', 'SortCapabilities']]],
+  ['GetSystemUpdateID', [['Id', 'out', 'SystemUpdateID']]]
+], [
+  ['A_ARG_TYPE_ObjectID', 'string'],
+  ['A_ARG_TYPE_BrowseFlag', 'string', ['BrowseMetadata', 'BrowseDirectChildren']],
+  ['A_ARG_TYPE_Filter', 'string'],
+  ['A_ARG_TYPE_Index', 'ui4'],
+  ['A_ARG_TYPE_Count', 'ui4'],
+  ['A_ARG_TYPE_SortCriteria', 'string'],
+  ['A_ARG_TYPE_Result', 'string'],
+  ['A_ARG_TYPE_UpdateID', 'ui4'],
+  ['SearchCapabilities', 'string'],
+  ['SortCapabilities', 'string'],
+  ['SystemUpdateID', 'ui4', null, true]
+])
+
+const CONNECTION_MANAGER_SCPD = scpd([
+  ['GetProtocolInfo', [['Source', 'out', 'SourceProtocolInfo'], ['Sink', 'out', 'SinkProtocolInfo']]],
+  ['GetCurrentConnectionIDs', [['ConnectionIDs', 'out', 'CurrentConnectionIDs']]],
+  ['GetCurrentConnectionInfo', [
+    ['ConnectionID', 'in', 'A_ARG_TYPE_ConnectionID'],
+    ['RcsID', 'out', 'A_ARG_TYPE_RcsID'],
+    ['AVTransportID', 'out', 'A_ARG_TYPE_AVTransportID'],
+    ['ProtocolInfo', 'out', 'A_ARG_TYPE_ProtocolInfo'],
+    ['PeerConnectionManager', 'out', 'A_ARG_TYPE_ConnectionManager'],
+    ['PeerConnectionID', 'out', 'A_ARG_TYPE_ConnectionID'],
+    ['Direction', 'out', 'A_ARG_TYPE_Direction'],
+    ['Status', 'out', 'A_ARG_TYPE_ConnectionStatus']
+  ]]
+], [
+  ['SourceProtocolInfo', 'string', null, true],
+  ['SinkProtocolInfo', 'string', null, true],
+  ['CurrentConnectionIDs', 'string', null, true],
+  ['A_ARG_TYPE_ConnectionID', 'i4'],
+  ['A_ARG_TYPE_RcsID', 'i4'],
+  ['A_ARG_TYPE_AVTransportID', 'i4'],
+  ['A_ARG_TYPE_ProtocolInfo', 'string'],
+  ['A_ARG_TYPE_ConnectionManager', 'string'],
+  ['A_ARG_TYPE_Direction', 'string', ['Input', 'Output']],
+  ['A_ARG_TYPE_ConnectionStatus', 'string', ['OK', 'ContentFormatMismatch', 'InsufficientBandwidth', 'UnreliableChannel', 'Unknown']]
+])
+
+// A UUID that stays the same for the same `seed`, so renderers recognize the server again
+function deviceUuid (seed) {
+  const hex = crypto.createHash('sha1').update(seed).digest('hex')
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20, 32)}`
+}
+
+// Request handler for the device description, the service descriptions and the SOAP
+// control of the services, with a `handles(req)` check for the paths it serves.
+// `hrefOf(file, req)` is the stream URL of a file for the client of `req`.
+function createUpnpHandler (client, { uuid, name = 'WebTorrent', hrefOf }) {
+  // Renderers cache the listings until this changes
+  let updateId = 1
+  client.on('torrent', () => { updateId += 1 })
+
+  function handles (req) {
+    return new URL(req.url, 'http://localhost').pathname.startsWith(UPNP_PATH)
+  }
+
+  async function handler (req, res) {
+    const { pathname, search } = new URL(req.url, 'http://localhost')
+    const isGet = req.method === 'GET' || req.method === 'HEAD'
+
+    if (pathname === DESCRIPTION_PATH && isGet) {
+      // The service URLs keep the query of the description URL, e.g. an `--auth` token
+      return sendXml(req, res, 200, deviceDescription({ uuid, name, search }))
+    }
+
+    const [, kind, serviceName] = /^\/upnp\/(scpd|control|events)\/([\w-]+)$/.exec(pathname) || []
+    const service = SERVICES.find(service => service.name === serviceName)
+    if (!service) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' })
+      return res.end('Not found\n')
+    }
+
+    if (kind === 'scpd' && isGet) {
+      return sendXml(req, res, 200, service.type === CONTENT_DIRECTORY ? CONTENT_DIRECTORY_SCPD : CONNECTION_MANAGER_SCPD)
+    }
+
+    if (kind === 'events') {
+      // Nothing is evented, but some renderers give up without a subscription
+      if (req.method !== 'SUBSCRIBE' && req.method !== 'UNSUBSCRIBE') {
+        res.writeHead(405, { Allow: 'SUBSCRIBE, UNSUBSCRIBE' })
+        return res.end()
+      }
+      res.writeHead(200, req.method === 'SUBSCRIBE' ? { SID: `uuid:${crypto.randomUUID()}`, TIMEOUT: `Second-${MAX_AGE}` } : {})
+      return res.end()
+    }
+
+    if (kind !== 'control' || req.method !== 'POST') {
+      res.writeHead(405, { Allow: kind === 'control' ? 'POST' : 'GET, HEAD' })
+      return res.end()
+    }
+
+    const action = /#(\w+)"?$/.exec(req.headers.soapaction || '')
+    let body
+    try {
+      // SOAP requests are small, anything bigger is not meant for us
+      body = await readText(req, { limit: 64 * 1024 })
+    } catch (err) {
+      return sendFault(req, res, 402, err.message)
+    }
+    // Arguments are elements of the action element, with or without a namespace prefix
+    const arg = tag => unescapeXml((new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`).exec(body) || [])[1] || '')
+
+    const result = service.type === CONTENT_DIRECTORY
+      ? contentDirectory(action && action[1], arg, req)
+      : connectionManager(action && action[1])
+    if (result.fault) return sendFault(req, res, result.fault, result.description)
+    sendXml(req, res, 200, soapResponse(service.type, action[1], result))
+  }
+
+  function contentDirectory (action, arg, req) {
+    if (action === 'GetSearchCapabilities') return { SearchCaps: '' }
+    if (action === 'GetSortCapabilities') return { SortCaps: '' }
+    if (action === 'GetSystemUpdateID') return { Id: updateId }
+    if (action !== 'Browse') return { fault: 401, description: 'Invalid Action' }
+
+    const objects = contentObjects(client.torrents)
+    const object = objects.get(arg('ObjectID'))
+    if (!object) return { fault: 701, description: 'No such object' }
+
+    const flag = arg('BrowseFlag')
+    let matches
+    if (flag === 'BrowseMetadata') {
+      matches = [object]
+    } else if (flag === 'BrowseDirectChildren') {
+      matches = object.children || []
+    } else {
+      return { fault: 402, description: 'Invalid Args' }
+    }
+
+    const start = parseInt(arg('StartingIndex')) || 0
+    const count = parseInt(arg('RequestedCount')) || matches.length
+    const returned = matches.slice(start, start + count)
+    return {
+      Result: didl(returned, file => hrefOf(file, req)),
+      NumberReturned: returned.length,
+      TotalMatches: matches.length,
+      UpdateID: updateId
+    }
+  }
+
+  handler.handles = handles
+  return handler
+}
+
+function connectionManager (action) {
+  if (action === 'GetProtocolInfo') return { Source: 'http-get:*:*:*', Sink: '' }
+  if (action === 'GetCurrentConnectionIDs') return { ConnectionIDs: '0' }
+  if (action === 'GetCurrentConnectionInfo') {
+    return { RcsID: -1, AVTransportID: -1, ProtocolInfo: '', PeerConnectionManager: '', PeerConnectionID: -1, Direction: 'Output', Status: 'OK' }
+  }
+  return { fault: 401, description: 'Invalid Action' }
+}
+
+// The ContentDirectory objects by id: the root `0`, a container for every torrent with its
+// folders, and an item for every video, audio and image file
+function contentObjects (torrents) {
+  const root = { id: '0', parentId: '-1', title: 'WebTorrent', children: [] }
+  const objects = new Map([[root.id, root]])
+
+  torrents.filter(torrent => torrent.ready).forEach(torrent => {
+    const container = { id: torrent.infoHash, parentId: root.id, title: torrent.name, children: [] }
+
+    torrent.files.forEach((file, index) => {
+      if (!mediaClass(file.name)) return
+
+      // Multi-file torrents keep their files in a folder with the name of the torrent
+      const parts = file.path.replace(/\\/g, '/').split('/')
+      if (parts.length > 1 && parts[0] === torrent.name) parts.shift()
+
+      let parent = container
+      parts.slice(0, -1).forEach((part, i) => {
+        const id = `${torrent.infoHash}/${parts.slice(0, i + 1).join('/')}`
+        if (!objects.has(id)) {
+          const folder = { id, parentId: parent.id, title: part, children: [] }
+          objects.set(id, folder)
+          parent.children.push(folder)
+        }
+        parent = objects.get(id)
+      })
+
+      const item = { id: `${torrent.infoHash}:${index}`, parentId: parent.id, title: stem(file.name), file }
+      objects.set(item.id, item)
+      parent.children.push(item)
+    })
+
+    if (container.children.length === 0) return
+    objects.set(container.id, container)
+    root.children.push(container)
+  })
+
+  // Folders first, then the files, with numbers in order, e.g. `Episode 2` before `Episode 10`
+  objects.forEach(object => {
+    if (object.children) {
+      object.children.sort((a, b) => !a.children !== !b.children ? (a.children ? -1 : 1) : a.title.localeCompare(b.title, undefined, { numeric: true }))
+    }
+  })
+  return objects
+}
+
+// DIDL-Lite XML of ContentDirectory objects
+function didl (objects, hrefOf) {
+  const entries = objects.map(object => {
+    const attrs = `id="${escapeXml(object.id)}" parentID="${escapeXml(object.parentId)}" restricted="1"`
+    const title = `<dc:title>${escapeXml(object.title)}</dc:title>`
+
+    if (object.children) {
+      return `<container ${attrs} childCount="${object.children.length}" searchable="0">${title}<upnp:class>object.container.storageFolder</upnp:class></container>`
+    }
+
+    const { file } = object
+    const type = mime.getType(file.name)
+    return `<item ${attrs}>${title}<upnp:class>${mediaClass(file.name)}</upnp:class>` +
+      `<res protocolInfo="http-get:*:${type}:*" size="${file.length}">${escapeXml(hrefOf(file))}</res></item>`
+  })
+
+  return '<DIDL-Lite xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/" xmlns:dc="http://purl.org/dc/elements/1.1/" ' +
+    `xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/">${entries.join('')}</DIDL-Lite>`
+}
+
+function mediaClass (name) {
+  const type = (mime.getType(name) || '').split('/')[0]
+  return { video: 'object.item.videoItem', audio: 'object.item.audioItem.musicTrack', image: 'object.item.imageItem.photo' }[type] || null
+}
+
+function deviceDescription ({ uuid, name, search }) {
+  const services = SERVICES.map(service => `
+      <service>
+        <serviceType>${service.type}</serviceType>
+        <serviceId>${service.id}</serviceId>
+        <SCPDURL>${escapeXml(`${UPNP_PATH}scpd/${service.name}${search}`)}</SCPDURL>
+        <controlURL>${escapeXml(`${UPNP_PATH}control/${service.name}${search}`)}</controlURL>
+        <eventSubURL>${escapeXml(`${UPNP_PATH}events/${service.name}${search}`)}</eventSubURL>
+      </service>`).join('')
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<root xmlns="urn:schemas-upnp-org:device-1-0">
+  <specVersion><major>1</major><minor>0</minor></specVersion>
+  <device>
+    <deviceType>${DEVICE_TYPE}</deviceType>
+    <friendlyName>${escapeXml(name)}</friendlyName>
+    <manufacturer>WebTorrent</manufacturer>
+    <manufacturerURL>https://webtorrent.io</manufacturerURL>
+    <modelName>WebTorrent</modelName>
+    <UDN>uuid:${uuid}</UDN>
+    <serviceList>${services}
+    </serviceList>
+  </device>
+</root>
+`
+}
+
+// Service description, `actions` are `[name, [[argument, direction, state variable]]]`
+// and `variables` are `[name, type, allowed values, evented]`
+function scpd (actions, variables) {
+  const actionList = actions.map(([name, args]) => `
+    <action>
+      <name>${name}</name>
+      <argumentList>${args.map(([arg, direction, variable]) => `
+        <argument><name>${arg}</name><direction>${direction}</direction><relatedStateVariable>${variable}</relatedStateVariable></argument>`).join('')}
+      </argumentList>
+    </action>`).join('')
+
+  const stateTable = variables.map(([name, type, allowed, evented]) => `
+    <stateVariable sendEvents="${evented ? 'yes' : 'no'}"><name>${name}</name><dataType>${type}</dataType>${allowed
+      ? `<allowedValueList>${allowed.map(value => `<allowedValue>${value}</allowedValue>`).join('')}</allowedValueList>`
+      : ''}</stateVariable>`).join('')
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<scpd xmlns="urn:schemas-upnp-org:service-1-0">
+  <specVersion><major>1</major><minor>0</minor></specVersion>
+  <actionList>${actionList}
+  </actionList>
+  <serviceStateTable>${stateTable}
+  </serviceStateTable>
+</scpd>
+`
+}
+
+function soapResponse (serviceType, action, values) {
+  const body = Object.entries(values).map(([name, value]) => `<${name}>${escapeXml(value)}</${name}>`).join('')
+  return soapEnvelope(`<u:${action}Response xmlns:u="${serviceType}">${body}</u:${action}Response>`)
+}
+
+function sendFault (req, res, code, description) {
+  sendXml(req, res, 500, soapEnvelope('<s:Fault><faultcode>s:Client</faultcode><faultstring>UPnPError</faultstring><detail>' +
+    `<UPnPError xmlns="urn:schemas-upnp-org:control-1-0"><errorCode>${code}</errorCode><errorDescription>${escapeXml(description)}</errorDescription></UPnPError>` +
+    '</detail></s:Fault>'))
+}
+
+function soapEnvelope (body) {
+  return '<?xml version="1.0" encoding="utf-8"?>\n' +
+    `<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/"><s:Body>${body}</s:Body></s:Envelope>\n`
+}
+
+function sendXml (req, res, statusCode, body) {
+  res.writeHead(statusCode, {
+    'Content-Type': 'text/xml; charset="utf-8"',
+    'Content-Length': Buffer.byteLength(body)
+  })
+  res.end(req.method === 'HEAD' ? null : body)
+}
+
+// Answers SSDP searches for the MediaServer and announces it on the network. `location` is
+// the URL of the device description.
+class SsdpServer extends EventEmitter {
+  constructor ({ uuid, location, address = SSDP_ADDRESS, port = SSDP_PORT, interval = MAX_AGE / 2 * 1000 }) {
+    super()
+    this.uuid = uuid
+    this.location = location
+    this.address = address
+    this.port = port
+    this.interval = interval
+    this.server = `${process.platform}/${process.version} UPnP/1.0 WebTorrent`
+
+    // The search targets we answer to, with the USN of each
+    this.targets = new Map([
+      ['upnp:rootdevice', `uuid:${uuid}::upnp:rootdevice`],
+      [`uuid:${uuid}`, `uuid:${uuid}`],
+      [DEVICE_TYPE, `uuid:${uuid}::${DEVICE_TYPE}`],
+      ...SERVICES.map(service => [service.type, `uuid:${uuid}::${service.type}`])
+    ])
+  }
+
+  start () {
+    this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true })
+    this.socket.on('message', (message, rinfo) => this.onMessage(message.toString(), rinfo))
+    this.socket.on('error', err => this.emit('error', err))
+
+    return new Promise(resolve => {
+      this.socket.bind(this.port, () => {
+        try {
+          this.socket.addMembership(this.address)
+        } catch (err) {
+          // Searches sent to this machine are still answered
+          this.emit('warning', new Error(`Could not join the SSDP multicast group: ${err.message}`))
+        }
+        this.notify('ssdp:alive')
+        this.timer = setInterval(() => this.notify('ssdp:alive'), this.interval)
+        this.timer.unref()
+        resolve()
+      })
+    })
+  }
+
+  close () {
+    if (!this.socket) return
+    clearInterval(this.timer)
+    this.notify('ssdp:byebye', () => {
+      this.socket.close()
+      this.socket = null
+    })
+  }
+
+  onMessage (message, rinfo) {
+    const [requestLine, ...lines] = message.split('\r\n')
+    if (!/^M-SEARCH \* HTTP\/1\.1$/i.test(requestLine)) return
+
+    const headers = parseHeaders(lines)
+    if (headers.man !== '"ssdp:discover"') return
+
+    const targets = headers.st === 'ssdp:all' ? [...this.targets.keys()] : this.targets.has(headers.st) ? [headers.st] : []
+    targets.forEach(st => {
+      this.send([
+        'HTTP/1.1 200 OK',
+        `CACHE-CONTROL: max-age=${MAX_AGE}`,
+        `DATE: ${new Date().toUTCString()}`,
+        'EXT:',
+        `LOCATION: ${this.location}`,
+        `SERVER: ${this.server}`,
+        `ST: ${st}`,
+        `USN: ${this.targets.get(st)}`
+      ], rinfo.port, rinfo.address)
+    })
+  }
+
+  notify (nts, cb = () => {}) {
+    const messages = [...this.targets].map(([nt, usn]) => [
+      'NOTIFY * HTTP/1.1',
+      `HOST: ${this.address}:${SSDP_PORT}`,
+      `NT: ${nt}`,
+      `NTS: ${nts}`,
+      `USN: ${usn}`,
+      ...(nts === 'ssdp:alive' ? [`CACHE-CONTROL: max-age=${MAX_AGE}`, `LOCATION: ${this.location}`, `SERVER: ${this.server}`] : [])
+    ])
+    let pending = messages.length
+    messages.forEach(lines => this.send(lines, SSDP_PORT, this.address, () => {
+      if (--pending === 0) cb()
+    }))
+  }
+
+  send (lines, port, address, cb) {
+    const message = Buffer.from(`${lines.join('\r\n')}\r\n\r\n`)
+    this.socket.send(message, port, address, err => {
+      if (err) this.emit('warning', err)
+      if (cb) cb()
+    })
+  }
+}
+
+function parseHeaders (lines) {
+  const headers = {}
+  lines.forEach(line => {
+    const index = line.indexOf(':')
+    if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim()
+  })
+  return headers
+}
+
+function unescapeXml (text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+}
+
+export { DESCRIPTION_PATH, SsdpServer, contentObjects, createUpnpHandler, deviceUuid, didl }
@@ -0,0 +1,126 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+
+// Hash checks the files of a torrent in a folder against its metadata, for `webtorrent
+// verify`, without starting a client. Files are where a download to the folder puts them.
+
+// Returns a report of the pieces and files of the parsed torrent `parsed` in `dir`:
+//
+//   {
+//     infoHash, name, path, ok,
+//     pieces: { total, valid, corrupt, missing },
+//     corruptPieces: [[from, to], ...], missingPieces: [[from, to], ...],
+//     files: [{ path, length, size, status, pieces }]
+//   }
+//
+// A piece is missing when a file it is in is missing or too short, and corrupt when its
+// hash doesn't match. The status of a file is `ok`, `missing`, `incomplete` or `corrupt`,
+// and `pieces` are the ranges of its bad pieces. `onProgress(done, total)` follows the
+// pieces as they are checked.
+async function verifyTorrent (parsed, dir, { onProgress } = {}) {
+  const total = parsed.pieces.length
+  const files = parsed.files.map(file => ({
+    file,
+    path: path.join(dir, file.path),
+    firstPiece: Math.floor(file.offset / parsed.pieceLength),
+    lastPiece: Math.floor((file.offset + Math.max(file.length, 1) - 1) / parsed.pieceLength),
+    size: null,
+    handle: null
+  }))
+  const corrupt = []
+  const missing = []
+
+  await Promise.all(files.map(async entry => {
+    try {
+      entry.size = (await fs.promises.stat(entry.path)).size
+    } catch (err) {
+      if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') throw err
+    }
+  }))
+
+  try {
+    for (let index = 0; index < total; index++) {
+      const start = index * parsed.pieceLength
+      const length = index === total - 1 ? parsed.lastPieceLength : parsed.pieceLength
+      const piece = Buffer.alloc(length)
+      let complete = true
+
+      for (const entry of files) {
+        const { offset, length: fileLength } = entry.file
+        if (fileLength === 0 || offset + fileLength <= start || offset >= start + length) continue
+
+        // The part of the piece in this file
+        const from = Math.max(start, offset)
+        const to = Math.min(start + length, offset + fileLength)
+        if (entry.size === null || entry.size < to - offset) {
+          complete = false
+          break
+        }
+        if (!entry.handle) entry.handle = await fs.promises.open(entry.path, 'r')
+        await entry.handle.read(piece, from - start, to - from, from - offset)
+      }
+
+      if (!complete) missing.push(index)
+      else if (crypto.createHash('sha1').update(piece).digest('hex') !== parsed.pieces[index]) corrupt.push(index)
+
+      // Only a few files are open at a time
+      await Promise.all(files.filter(entry => entry.handle && entry.lastPiece <= index).map(async entry => {
+        await entry.handle.close()
+        entry.handle = null
+      }))
+      if (onProgress) onProgress(index + 1, total)
+    }
+  } finally {
+    await Promise.all(files.filter(entry => entry.handle).map(entry => entry.handle.close()))
+  }
+
+  const bad = new Set([...corrupt, ...missing])
+  return {
+    infoHash: parsed.infoHash,
+    name: parsed.name,
+    path: dir,
+    ok: bad.size === 0 && files.every(entry => entry.size !== null),
+    pieces: { total, valid: total - bad.size, corrupt: corrupt.length, missing: missing.length },
+    corruptPieces: pieceRanges(corrupt),
+    missingPieces: pieceRanges(missing),
+    files: files.map(entry => {
+      const pieces = []
+      if (entry.file.length > 0) {
+        for (let i = entry.firstPiece; i <= entry.lastPiece; i++) if (bad.has(i)) pieces.push(i)
+      }
+      const status = entry.size === null
+        ? 'missing'
+        : entry.size < entry.file.length ? 'incomplete' : pieces.length > 0 ? 'corrupt' : 'ok'
+
+      return { path: entry.file.path, length: entry.file.length, size: entry.size, status, pieces: pieceRanges(pieces) }
+    })
+  }
+}
+
+// Sorted piece indexes as `[from, to]` ranges, e.g. `[[3, 7], [9, 9]]`
+function pieceRanges (indexes) {
+  return indexes.reduce((ranges, index) => {
+    const last = ranges[ranges.length - 1]
+    if (last && last[1] === index - 1) last[1] = index
+    else ranges.push([index, index])
+    return ranges
+  }, [])
+}
+
+// Ranges the way `--select` takes them, e.g. `3-7,9`
+function formatRanges (ranges) {
+  return ranges.map(([from, to]) => from === to ? `${from}` : `${from}-${to}`).join(',')
+}
+
+// Bitfield of the valid pieces of a report, for a client to download the others only
+function toBitfield (report) {
+  const bitfield = new Uint8Array(Math.ceil(report.pieces.total / 8))
+  for (let i = 0; i < report.pieces.total; i++) bitfield[i >> 3] |= 128 >> (i % 8)
+  report.corruptPieces.concat(report.missingPieces).forEach(([from, to]) => {
+    for (let i = from; i <= to; i++) bitfield[i >> 3] &= ~(128 >> (i % 8))
+  })
+  return bitfield
+}
+
+export { formatRanges, pieceRanges, toBitfield, verifyTorrent }
@@ -0,0 +1,187 @@
+// Converts SRT and ASS/SSA subtitles to WebVTT, the only format Chromecasts and browsers
+// play. Only the text and the basic italic, bold and underline styles are kept.
+
+// Returns the WebVTT text of a subtitles file. `offset` shifts all cues by that many
+// seconds, `name` helps to tell the format.
+function toVtt (buffer, { name = '', offset = 0 } = {}) {
+  const text = decodeText(buffer).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n')
+
+  let cues
+  if (/^WEBVTT/.test(text)) {
+    if (!offset) return text
+    cues = parseVtt(text)
+  } else if (/\.(ass|ssa)$/i.test(name) || /^\s*\[Script Info\]/i.test(text)) {
+    cues = parseAss(text)
+  } else {
+    cues = parseSrt(text)
+  }
+
+  const blocks = cues
+    .map(cue => ({ ...cue, start: cue.start + offset * 1000, end: cue.end + offset * 1000 }))
+    .filter(cue => cue.end > 0 && cue.text.trim() !== '')
+    .sort((a, b) => a.start - b.start)
+    .map(cue => `${formatTime(Math.max(cue.start, 0))} --> ${formatTime(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}\n${cue.text}`)
+
+  return `WEBVTT\n\n${blocks.map(block => `${block}\n\n`).join('')}`
+}
+
+// Subtitles come in all kinds of charsets. UTF-8 and UTF-16 are recognized by their byte
+// order mark or by being valid, anything else is read as Windows-1251 (Cyrillic) when most
+// letters are outside of ASCII, else as Windows-1252 (Western).
+function decodeText (buffer) {
+  const bytes = new Uint8Array(buffer)
+
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes)
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes)
+
+  // UTF-16 without a byte order mark has a zero byte in every ASCII character
+  const sample = bytes.subarray(0, 1000)
+  const zeros = [0, 1].map(parity => sample.filter((byte, i) => i % 2 === parity && byte === 0).length)
+  if (zeros[1] > sample.length / 4 && zeros[0] === 0) return new TextDecoder('utf-16le').decode(bytes)
+  if (zeros[0] > sample.length / 4 && zeros[1] === 0) return new TextDecoder('utf-16be').decode(bytes)
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+  } catch (err) {
+    let high = 0
+    let ascii = 0
+    bytes.forEach(byte => {
+      if (byte >= 0xC0) high++
+      else if ((byte >= 0x41 && byte <= 0x5A) || (byte >= 0x61 && byte <= 0x7A)) ascii++
+    })
+    return new TextDecoder(high > ascii ? 'windows-1251' : 'windows-1252').decode(bytes)
+  }
+}
+
+const SRT_TIMING = /^\s*(\d+:)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})\s*-->\s*(\d+:)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})/
+
+function parseSrt (text) {
+  const cues = []
+  text.split(/\n\s*\n/).forEach(block => {
+    const lines = block.split('\n').filter(line => line.trim() !== '')
+    const timing = lines.findIndex(line => SRT_TIMING.test(line))
+    if (timing === -1) return
+
+    const match = SRT_TIMING.exec(lines[timing])
+    cues.push({
+      start: toMs(match.slice(1, 5)),
+      end: toMs(match.slice(5, 9)),
+      text: lines.slice(timing + 1).map(cleanSrtText).join('\n')
+    })
+  })
+  return cues
+}
+
+function cleanSrtText (line) {
+  return escapeText(line
+    .replace(/\{\\[^}]*\}/g, '') // ASS override codes some SRT files carry, e.g. {\an8}
+    .replace(/<\/?font[^>]*>/gi, '')
+    .replace(/<(\/?)([ibu])>/gi, (match, slash, tag) => `<${slash}${tag.toLowerCase()}>`))
+}
+
+function parseVtt (text) {
+  const cues = []
+  text.split(/\n\s*\n/).forEach(block => {
+    const lines = block.split('\n')
+    const timing = lines.findIndex(line => line.includes('-->'))
+    if (timing === -1) return
+
+    const match = /^\s*(\S+)\s*-->\s*(\S+)(.*)$/.exec(lines[timing])
+    if (!match) return
+    cues.push({
+      start: parseVttTime(match[1]),
+      end: parseVttTime(match[2]),
+      settings: match[3].trim(),
+      text: lines.slice(timing + 1).join('\n').trimEnd()
+    })
+  })
+  return cues.filter(cue => !Number.isNaN(cue.start) && !Number.isNaN(cue.end))
+}
+
+function parseVttTime (time) {
+  const parts = time.split(':')
+  const [seconds, ms = '0'] = parts.pop().split('.')
+  const [hours = '0', minutes = '0'] = parts.length === 2 ? parts : ['0', parts[0]]
+  return toMs([`${hours}:`, minutes, seconds, ms])
+}
+
+function parseAss (text) {
+  const cues = []
+  let section = ''
+  let format = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text']
+
+  text.split('\n').forEach(line => {
+    line = line.trim()
+    const header = /^\[(.+)\]$/.exec(line)
+    if (header) {
+      section = header[1].toLowerCase()
+      return
+    }
+    if (section !== 'events') return
+
+    const [, key, value] = /^(\w+):\s*(.*)$/.exec(line) || []
+    if (key === 'Format') {
+      format = value.split(',').map(field => field.trim().toLowerCase())
+    } else if (key === 'Dialogue') {
+      // The text is the last field and may contain commas
+      const fields = value.split(',')
+      const values = fields.slice(0, format.length - 1).concat(fields.slice(format.length - 1).join(','))
+      const field = name => values[format.indexOf(name)] || ''
+
+      const start = /(\d+):(\d{1,2}):(\d{1,2})\.(\d{1,3})/.exec(field('start'))
+      const end = /(\d+):(\d{1,2}):(\d{1,2})\.(\d{1,3})/.exec(field('end'))
+      if (!start || !end) return
+      cues.push({
+        start: toMs([`${start[1]}:`, start[2], start[3], start[4].padEnd(3, '0')]),
+        end: toMs([`${end[1]}:`, end[2], end[3], end[4].padEnd(3, '0')]),
+        text: cleanAssText(field('text'))
+      })
+    }
+  })
+  return cues
+}
+
+function cleanAssText (text) {
+  const tags = { i: 'i', b: 'b', u: 'u' }
+  const open = new Set()
+
+  const converted = escapeText(text.replace(/\\h/g, ' ')).replace(/\{([^}]*)\}/g, (match, codes) => {
+    // Only italic, bold and underline survive, e.g. {\i1} ... {\i0}
+    let html = ''
+    codes.replace(/\\([ibu])(\d)/g, (code, tag, on) => {
+      if (on !== '0' && !open.has(tag)) {
+        open.add(tag)
+        html += `<${tags[tag]}>`
+      } else if (on === '0' && open.has(tag)) {
+        open.delete(tag)
+        html += `</${tags[tag]}>`
+      }
+    })
+    return html
+  })
+
+  return [...open].reduce((text, tag) => `${text}</${tags[tag]}>`, converted)
+    .replace(/\\[Nn]/g, '\n')
+}
+
+// `<` and `&` are markup in WebVTT, keep the style tags only
+function escapeText (text) {
+  return text
+    .replace(/&(?!(amp|lt|gt|nbsp|lrm|rlm);)/g, '&amp;')
+    .replace(/<(?!\/?[ibu]>)/g, '&lt;')
+    .replace(/-->/g, '->')
+}
+
+// `[hours:, minutes, seconds, ms]` as matched, hours are optional
+function toMs ([hours, minutes, seconds, ms]) {
+  return (((parseInt(hours || '0') * 60) + parseInt(minutes)) * 60 + parseInt(seconds)) * 1000 +
+    parseInt(ms.padEnd(3, '0').slice(0, 3))
+}
+
+function formatTime (ms) {
+  ms = Math.round(ms)
+  const pad = (value, length = 2) => String(value).padStart(length, '0')
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`
+}
+
+export { decodeText, toVtt }
@@ -0,0 +1,93 @@
+import EventEmitter from 'events'
+import fs from 'fs'
+import path from 'path'
+
+// Watches a folder for `.torrent` and `.magnet` files, used by `webtorrent watch`.
+//
+// A file is only reported once its size stops changing, so files that are still being
+// copied into the folder are not read too early.
+
+const EXTENSIONS = ['.torrent', '.magnet']
+const STATES = ['added', 'done', 'error']
+
+class FolderWatcher extends EventEmitter {
+  constructor (dir, { stableTime = 1000 } = {}) {
+    super()
+    this.dir = dir
+    this.stableTime = stableTime
+    this.checking = new Set()
+    this.reported = new Set()
+    this.timers = new Set()
+  }
+
+  start () {
+    this.watcher = fs.watch(this.dir, (event, name) => {
+      // Some platforms don't report the file name, so look at the whole folder
+      if (name) this._check(name)
+      else this._scan()
+    })
+    this.watcher.on('error', err => this.emit('error', err))
+    this._scan()
+    return this
+  }
+
+  close () {
+    if (this.watcher) this.watcher.close()
+    this.timers.forEach(timer => clearTimeout(timer))
+    this.timers.clear()
+  }
+
+  _scan () {
+    fs.readdir(this.dir, (err, names) => {
+      if (err) return this.emit('error', err)
+      names.forEach(name => this._check(name))
+    })
+  }
+
+  _check (name) {
+    if (!EXTENSIONS.includes(path.extname(name).toLowerCase())) return
+    if (this.checking.has(name)) return
+
+    const file = path.join(this.dir, name)
+    this.checking.add(name)
+
+    const compare = prev => {
+      fs.stat(file, (err, stats) => {
+        if (err) {
+          // The file was moved away, a new file with the same name is a new torrent
+          this.checking.delete(name)
+          this.reported.delete(name)
+          return
+        }
+        if (!stats.isFile() || this.reported.has(name)) {
+          return this.checking.delete(name)
+        }
+        if (prev && prev.size === stats.size && prev.mtimeMs === stats.mtimeMs) {
+          this.checking.delete(name)
+          this.reported.add(name)
+          return this.emit('file', file)
+        }
+
+        const timer = setTimeout(() => {
+          this.timers.delete(timer)
+          compare(stats)
+        }, this.stableTime)
+        this.timers.add(timer)
+      })
+    }
+
+    compare(null)
+  }
+}
+
+// Renames `name.torrent` (or `name.torrent.added`) to `name.torrent.<state>`
+async function markFile (file, state) {
+  if (!STATES.includes(state)) throw new Error(`Unknown state ${state}`)
+
+  const base = file.replace(new RegExp(`\\.(${STATES.join('|')})$`), '')
+  const target = `${base}.${state}`
+  await fs.promises.rename(file, target)
+  return target
+}
+
+export { FolderWatcher, markFile }
@@ -0,0 +1,42 @@
+import fs from 'fs'
+
+import { createApiHandler } from './api.js'
+
+// Browser dashboard for `--web-ui`, served next to the file streams of the torrent server.
+// The page itself is static and talks to the JSON API under `/api`.
+
+const page = fs.readFileSync(new URL('web-ui.html', import.meta.url))
+
+// Takes the options of `createApiHandler()`. Like the API handler, `handler.handles(req)`
+// tells if a request is meant for the dashboard.
+//
+// The dashboard shares the server of the file streams, so it never takes the paths or the
+// state of new torrents and never deletes data. Without `auth`, only requests for a loopback
+// host name are accepted.
+function createWebUiHandler (client, { auth, ...opts } = {}) {
+  const api = createApiHandler(client, { ...opts, localControl: false, checkHost: !auth })
+
+  function handles (req) {
+    const { pathname } = new URL(req.url, 'http://localhost')
+    return pathname === '/' || api.handles(req)
+  }
+
+  function handler (req, res) {
+    if (api.handles(req)) return api(req, res)
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' })
+      return res.end()
+    }
+    res.writeHead(200, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Length': page.length
+    })
+    res.end(req.method === 'HEAD' ? null : page)
+  }
+
+  handler.handles = handles
+  return handler
+}
+
+export { createWebUiHandler }
@@ -0,0 +1,234 @@
+import http from 'http'
+import test from 'tape'
+import { apiRequest, createApiServer } from '../lib/api.js'
+import { SpeedLimits } from '../lib/speed-limits.js'
+
+const infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+
+function fakeTorrent (hash) {
+  return {
+    infoHash: hash,
+    name: 'Leaves of Grass',
+    ready: true,
+    paused: false,
+    done: false,
+    progress: 0.5,
+    length: 100,
+    downloaded: 50,
+    uploaded: 0,
+    files: [],
+    pause () { this.paused = true },
+    resume () { this.paused = false }
+  }
+}
+
+function fakeClient () {
+  return {
+    torrents: [fakeTorrent(infoHash)],
+    async get (id) { return this.torrents.find(t => t.infoHash === id) || null },
+    remove (torrent, opts, cb) {
+      this.torrents.splice(this.torrents.indexOf(torrent), 1)
+      cb(null)
+    }
+  }
+}
+
+function listen (client, t, fn, opts) {
+  const server = createApiServer(client, {
+    ...opts,
+    onAdd: async (torrentId, addOpts) => {
+      const torrent = Object.assign(fakeTorrent(torrentId), { addOpts })
+      client.torrents.push(torrent)
+      return torrent
+    }
+  })
+  server.listen(0, '127.0.0.1', async () => {
+    try {
+      await fn({ port: server.address().port })
+    } catch (err) {
+      t.error(err)
+    }
+    server.close()
+  })
+}
+
+test('api: list, pause and resume torrents', t => {
+  t.plan(4)
+  const client = fakeClient()
+
+  listen(client, t, async daemon => {
+    const torrents = await apiRequest(daemon, 'GET', '/torrents')
+    t.equal(torrents.length, 1)
+    t.equal(torrents[0].infoHash, infoHash)
+
+    t.equal((await apiRequest(daemon, 'POST', `/torrents/${infoHash}/pause`)).paused, true)
+    t.equal((await apiRequest(daemon, 'POST', `/torrents/${infoHash}/resume`)).paused, false)
+  })
+})
+
+test('api: add and remove torrents', t => {
+  t.plan(3)
+  const client = fakeClient()
+  const otherHash = '6a9759bffd5c0af65319979fb7832189f4f3c35d'
+
+  listen(client, t, async daemon => {
+    const added = await apiRequest(daemon, 'POST', '/torrents', { torrentId: otherHash })
+    t.equal(added.infoHash, otherHash)
+
+    await apiRequest(daemon, 'DELETE', `/torrents/${otherHash}`)
+    t.equal(client.torrents.length, 1)
+
+    try {
+      await apiRequest(daemon, 'POST', '/torrents', {})
+    } catch (err) {
+      t.equal(err.statusCode, 400)
+    }
+  })
+})
+
+test('api: unknown torrents and routes return 404', t => {
+  t.plan(2)
+
+  listen(fakeClient(), t, async daemon => {
+    await apiRequest(daemon, 'GET', '/torrents/unknown').catch(err => t.equal(err.statusCode, 404))
+    await apiRequest(daemon, 'PUT', '/nothing').catch(err => t.equal(err.statusCode, 404))
+  })
+})
+
+test('api: toggle alternative speed', t => {
+  t.plan(4)
+  const client = Object.assign(fakeClient(), { throttleDownload () {}, throttleUpload () {} })
+  const speedLimits = new SpeedLimits(client, { normal: { down: -1, up: -1 }, alt: { up: 10240 } }).start()
+
+  listen(client, t, async daemon => {
+    t.equal((await apiRequest(daemon, 'GET', '/speed')).profile, 'normal')
+    t.equal((await apiRequest(daemon, 'POST', '/speed')).up, 10240)
+    t.equal((await apiRequest(daemon, 'POST', '/speed', { alt: false })).alt, false)
+    await apiRequest(daemon, 'POST', '/speed', { alt: 'yes' }).catch(err => t.equal(err.statusCode, 400))
+  }, { speedLimits })
+})
+
+test('api: peers and file selection', t => {
+  t.plan(5)
+  const client = fakeClient()
+  const torrent = client.torrents[0]
+  let selected = [0, 1]
+  torrent.files = [{ name: 'a.txt', path: 'a.txt', length: 1 }, { name: 'b.mkv', path: 'b.mkv', length: 2 }]
+  torrent.pieces = [1, 2]
+  torrent.wires = [{
+    remoteAddress: '10.0.0.1',
+    remotePort: 6881,
+    type: 'tcpOutgoing',
+    peerPieces: { get: i => i === 0 },
+    downloaded: 10,
+    uploaded: 0,
+    downloadSpeed: () => 1,
+    uploadSpeed: () => 0,
+    peerChoking: false
+  }]
+  const fileSelections = new Map([[torrent, { get: () => selected, set: indexes => (selected = indexes) }]])
+
+  listen(client, t, async daemon => {
+    const peers = await apiRequest(daemon, 'GET', `/torrents/${infoHash}/peers`)
+    t.deepEqual(peers[0], { address: '10.0.0.1:6881', type: 'tcpOutgoing', progress: 0.5, downloaded: 10, uploaded: 0, downloadSpeed: 1, uploadSpeed: 0, choked: false })
+
+    const result = await apiRequest(daemon, 'POST', `/torrents/${infoHash}/files`, { select: '*.mkv' })
+    t.deepEqual(selected, [1])
+    t.deepEqual(result.files.map(file => file.selected), [false, true])
+
+    await apiRequest(daemon, 'POST', `/torrents/${infoHash}/files`, { select: [5] }).catch(err => t.equal(err.statusCode, 400))
+
+    fileSelections.clear()
+    await apiRequest(daemon, 'POST', `/torrents/${infoHash}/files`, { select: [0] }).catch(err => t.equal(err.statusCode, 409))
+  }, { fileSelections })
+})
+
+// A request the way a page of another site can send it
+function rawRequest (port, method, pathname, headers, body) {
+  return new Promise((resolve, reject) => {
+    http.request({ host: '127.0.0.1', port, method, path: `/api${pathname}`, headers }, res => {
+      res.resume()
+      res.on('end', () => resolve(res.statusCode))
+    }).on('error', reject).end(body)
+  })
+}
+
+test('api: refuses requests that web pages can send', t => {
+  t.plan(6)
+  const client = fakeClient()
+
+  listen(client, t, async daemon => {
+    const body = JSON.stringify({ torrentId: '6a9759bffd5c0af65319979fb7832189f4f3c35d' })
+    t.equal(await rawRequest(daemon.port, 'POST', '/torrents', { 'Content-Type': 'text/plain' }, body), 415, 'not without JSON')
+    t.equal(await rawRequest(daemon.port, 'POST', `/torrents/${infoHash}/pause`, {}), 415, 'not without a body either')
+    t.equal(await rawRequest(daemon.port, 'POST', '/torrents', { 'Content-Type': 'application/json', Origin: 'http://example.com' }, body), 403, 'not from other origins')
+    t.equal(await rawRequest(daemon.port, 'GET', '/torrents', { Host: 'attacker.example.com:9095' }), 403, 'not for other host names')
+    t.equal(await rawRequest(daemon.port, 'GET', '/torrents', { Origin: `http://127.0.0.1:${daemon.port}` }), 200)
+    t.equal(client.torrents.length, 1)
+  })
+})
+
+test('api: only takes some options of new torrents', t => {
+  t.plan(3)
+  const client = fakeClient()
+  const torrentId = '6a9759bffd5c0af65319979fb7832189f4f3c35d'
+
+  listen(client, t, async daemon => {
+    await apiRequest(daemon, 'POST', '/torrents', { torrentId, path: '/tmp/out', bitfield: 'AAA=', select: '0' })
+    t.deepEqual(client.torrents[1].addOpts, { select: '0', paused: false, path: '/tmp/out' }, 'local clients set the path')
+  })
+
+  const remote = fakeClient()
+  listen(remote, t, async daemon => {
+    await apiRequest(daemon, 'POST', '/torrents', { torrentId, path: '/etc', paused: true })
+    t.deepEqual(remote.torrents[1].addOpts, { select: undefined }, 'without localControl')
+
+    let destroyStore
+    remote.remove = (torrent, opts, cb) => cb(null, (destroyStore = opts.destroyStore))
+    await apiRequest(daemon, 'DELETE', `/torrents/${torrentId}?destroyStore=true`)
+    t.equal(destroyStore, false)
+  }, { localControl: false })
+})
+
+test('api: only takes magnet URIs and info hashes without localControl', t => {
+  const rejected = [
+    '/etc/passwd',
+    'file:///etc/passwd',
+    'http://127.0.0.1:8000/secret.torrent',
+    'https://example.com/a.torrent',
+    'magnet:',
+    '6a9759bffd5c0af65319979fb7832189f4f3c35',
+    { infoHash }
+  ]
+  const accepted = [
+    'magnet:?xt=urn:btih:6a9759bffd5c0af65319979fb7832189f4f3c35d',
+    '6A9759BFFD5C0AF65319979FB7832189F4F3C35D',
+    'NKLVTP75LQFPMUZZTGPXQMZBRH2PHQ25'
+  ]
+  t.plan(rejected.length * 2 + accepted.length)
+  const client = fakeClient()
+
+  listen(client, t, async daemon => {
+    for (const torrentId of rejected) {
+      await apiRequest(daemon, 'POST', '/torrents', { torrentId }).catch(err => {
+        t.equal(err.statusCode, 400, `refuses ${JSON.stringify(torrentId)}`)
+      })
+      t.equal(client.torrents.length, 1)
+    }
+    for (const torrentId of accepted) {
+      await apiRequest(daemon, 'POST', '/torrents', { torrentId })
+      t.equal(client.torrents[client.torrents.length - 1].infoHash, torrentId)
+    }
+  }, { localControl: false })
+})
+
+test('api: refuses large bodies', t => {
+  t.plan(2)
+  const client = fakeClient()
+
+  listen(client, t, async daemon => {
+    const body = JSON.stringify({ torrentId: infoHash, select: 'x'.repeat(2 * 1024 * 1024) })
+    t.equal(await rawRequest(daemon.port, 'POST', '/torrents', { 'Content-Type': 'application/json' }, body), 413)
+    t.equal(client.torrents.length, 1)
+  })
+})
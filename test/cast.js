@@ -0,0 +1,116 @@
+import test from 'tape'
+import { CastDevice, CastSession, matchesDevice } from '../lib/cast.js'
+
+// Plays `duration` seconds of media, one second per poll
+class FakeDevice extends CastDevice {
+  constructor (name, { duration = 2 } = {}) {
+    super('chromecast', { name, host: '192.168.1.2' }, { pollInterval: 5 })
+    this.duration = duration
+    this.played = []
+    this.volume = 0.5
+  }
+
+  async _play (item) {
+    this.played.push(item.url)
+    this.state = 'playing'
+    this.time = 0
+  }
+
+  async _pause () { this.state = 'paused' }
+  async _resume () { this.state = 'playing' }
+  async _seek (time) { this.time = time }
+  async _setVolume (volume) { this.volume = volume }
+  async _stop () { this.state = 'idle' }
+
+  async _status () {
+    if (this.state === 'playing') this.time += 1
+    if (this.time >= this.duration) this.state = 'idle'
+    return { state: this.state, time: this.time, duration: this.duration, volume: this.volume }
+  }
+}
+
+// The devices poll with unref'd timers, the tests wait for them
+function keepAlive (t) {
+  const timer = setInterval(() => {}, 1000)
+  t.teardown(() => clearInterval(timer))
+}
+
+const items = [{ url: 'http://a/1.mp4' }, { url: 'http://a/2.mp4' }]
+
+test('cast: matching devices', t => {
+  const device = new FakeDevice('Living Room TV')
+  t.ok(matchesDevice(device, []))
+  t.ok(matchesDevice(device, ['living']))
+  t.ok(matchesDevice(device, ['kitchen', 'room tv']))
+  t.notOk(matchesDevice(device, ['kitchen']))
+  t.end()
+})
+
+test('cast: plays the items on all devices, then ends', t => {
+  keepAlive(t)
+  const session = new CastSession(items)
+  const devices = [new FakeDevice('a'), new FakeDevice('b', { duration: 4 })]
+
+  session.on('end', () => {
+    t.deepEqual(devices[0].played, ['http://a/1.mp4', 'http://a/2.mp4'])
+    t.deepEqual(devices[1].played, ['http://a/1.mp4', 'http://a/2.mp4'], 'the next item waits for every device')
+    session.close()
+    t.end()
+  })
+  devices.forEach(device => session.add(device))
+})
+
+test('cast: keyboard controls', async t => {
+  keepAlive(t)
+  const session = new CastSession(items)
+  const device = new FakeDevice('a', { duration: 1000 })
+  session.add(device)
+  await new Promise(resolve => setTimeout(resolve, 20))
+
+  await session.handleKey({ name: 'space' })
+  t.equal(device.status.state, 'paused')
+  await session.handleKey({ name: 'space' })
+  t.equal(device.status.state, 'playing')
+
+  const time = device.time
+  await session.handleKey({ name: 'right' })
+  t.ok(device.time >= time + 30, 'seeks 30 seconds forward')
+  await session.handleKey({ name: 'left' })
+  await session.handleKey({ name: 'left' })
+  t.ok(device.time <= 2, 'not before the start')
+
+  await session.handleKey({ name: 'up' })
+  t.equal(device.volume, 0.6)
+  device.volume = 0.95
+  await device.poll()
+  await session.handleKey({ name: 'up' })
+  t.equal(device.volume, 1)
+
+  await session.handleKey({ name: 'n' })
+  t.deepEqual(device.played, ['http://a/1.mp4', 'http://a/2.mp4'])
+
+  let quit = 0
+  session.on('quit', () => quit++)
+  session.handleKey({ name: 'q' })
+  session.handleKey({ name: 'c', ctrl: true })
+  t.equal(quit, 2)
+
+  session.once('end', () => t.pass('stop ends the session'))
+  await session.handleKey({ name: 's' })
+  t.equal(device.status.state, 'idle')
+  session.close()
+})
+
+test('cast: unsupported controls', async t => {
+  class Basic extends CastDevice {
+    async _play () {}
+    async _status () { return { state: 'playing' } }
+  }
+  const session = new CastSession(items)
+  session.add(new Basic('airplay', { name: 'Apple TV' }))
+  await session.handleKey({ name: 'up' })
+  t.equal(session.message, 'Apple TV: volume is unknown')
+  await session.handleKey({ name: 'right' })
+  t.equal(session.message, 'Apple TV: AirPlay devices can\'t seek')
+  session.close()
+})
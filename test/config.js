@@ -0,0 +1,108 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import chalk from 'chalk'
+import test from 'tape'
+import { Config, formatSet } from '../lib/config.js'
+
+const options = {
+  d: { alias: 'download-limit', type: 'number', default: -1 },
+  q: { alias: 'quiet', type: 'boolean' },
+  a: { alias: 'announce', type: 'string' },
+  select: {},
+  'queue-order': { choices: ['fifo', 'lifo'], default: 'fifo' },
+  config: { type: 'string' },
+  quit: { hidden: true, default: true }
+}
+
+function tmpFile () {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'webtorrent-')), 'config.json')
+}
+
+test('config: missing config file', t => {
+  const file = path.join(os.tmpdir(), `webtorrent-missing-${process.pid}.json`)
+  t.deepEqual(new Config(file, options).load().values(), {})
+  t.throws(() => new Config(file, options).load({ required: true }), /Could not read config file/)
+  t.end()
+})
+
+test('config: load options and profiles', t => {
+  const file = tmpFile()
+  fs.writeFileSync(file, JSON.stringify({
+    d: 500,
+    announce: ['udp://a', 'udp://b'],
+    profiles: { seedbox: { quiet: true, 'download-limit': 100 } }
+  }))
+
+  const config = new Config(file, options).load()
+  t.deepEqual(config.values(), { 'download-limit': 500, announce: ['udp://a', 'udp://b'] })
+  t.deepEqual(config.values('seedbox'), { 'download-limit': 100, announce: ['udp://a', 'udp://b'], quiet: true })
+  t.deepEqual(config.profiles(), ['seedbox'])
+  t.throws(() => config.values('other'), /Unknown profile "other", expected one of seedbox/)
+  t.end()
+})
+
+test('config: players are kept apart from the options', t => {
+  const file = tmpFile()
+  const players = { celluloid: { command: 'celluloid', playlist: ['{urls}'] } }
+  fs.writeFileSync(file, JSON.stringify({ d: 500, players }))
+
+  const config = new Config(file, options).load()
+  t.deepEqual(config.values(), { 'download-limit': 500 })
+  t.deepEqual(config.players(), players)
+
+  config.set('quiet', 'true')
+  config.save()
+  t.deepEqual(JSON.parse(fs.readFileSync(file)).players, players)
+
+  fs.writeFileSync(file, JSON.stringify({ players: [] }))
+  t.throws(() => new Config(file, options).load(), /"players" must be an object/)
+  t.end()
+})
+
+test('config: values are checked against the options', t => {
+  const file = tmpFile()
+  const load = data => {
+    fs.writeFileSync(file, JSON.stringify(data))
+    return new Config(file, options).load()
+  }
+
+  t.throws(() => load({ 'download-limit': '500' }), /Invalid value "500" for "download-limit", expected a number/)
+  t.throws(() => load({ quiet: 'yes' }), /expected a boolean/)
+  t.throws(() => load({ 'queue-order': 'random' }), /expected one of fifo, lifo/)
+  t.throws(() => load({ speed: 1 }), /Unknown option "speed"/)
+  t.throws(() => load({ config: 'other.json' }), /Unknown option "config"/)
+  t.throws(() => load({ quit: false }), /Unknown option "quit"/)
+  t.throws(() => load({ profiles: { seedbox: { quiet: 1 } } }), /Profile "seedbox": Invalid value 1 for "quiet"/)
+  t.throws(() => load([]), /Expected an object of options/)
+  t.ok(load({ select: '0,2' }))
+  t.end()
+})
+
+test('config: set and save options', t => {
+  const file = tmpFile()
+  const config = new Config(file, options).load()
+
+  t.equal(config.set('d', '500'), 500)
+  t.equal(config.set('quiet', 'true', 'seedbox'), true)
+  t.equal(config.set('select', '3'), 3)
+  t.throws(() => config.set('d', 'fast'), /Invalid value "fast" for "download-limit"/)
+  t.throws(() => config.set('q', 'yes'), /Invalid value "yes" for "quiet"/)
+  config.save()
+
+  const saved = new Config(file, options).load()
+  t.equal(saved.get('download-limit'), 500)
+  t.equal(saved.get('q', 'seedbox'), true)
+  t.equal(saved.get('quiet'), undefined)
+  t.deepEqual(JSON.parse(fs.readFileSync(file)), { 'download-limit': 500, select: 3, profiles: { seedbox: { quiet: true } } })
+  t.end()
+})
+
+test('config: the output of set', t => {
+  const level = chalk.level
+  chalk.level = 1
+  t.equal(formatSet('port', 9000, 'work'), `${chalk.green('Set')} port = 9000 ${chalk.green('in profile')} work`)
+  t.equal(formatSet('announce', ['udp://a']), `${chalk.green('Set')} announce = ["udp://a"]`)
+  chalk.level = level
+  t.end()
+})
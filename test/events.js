@@ -0,0 +1,78 @@
+import EventEmitter from 'events'
+import test from 'tape'
+import { formatEvent, reportTorrent } from '../lib/events.js'
+
+function fakeTorrent () {
+  return Object.assign(new EventEmitter(), {
+    infoHash: null,
+    name: undefined,
+    numPeers: 1,
+    downloaded: 50,
+    uploaded: 10,
+    length: 100,
+    progress: 0.5,
+    downloadSpeed: 20,
+    uploadSpeed: 5,
+    timeRemaining: Infinity,
+    done: false,
+    paused: false
+  })
+}
+
+test('events: one line per event', t => {
+  const line = formatEvent('done', { name: 'a\nb', length: 3 }, 1000)
+  t.equal(line, '{"event":"done","time":1000,"name":"a\\nb","length":3}\n')
+  t.equal(line.split('\n').length, 2, 'newlines in values are escaped')
+  t.deepEqual(JSON.parse(formatEvent('exit', undefined, 5)), { event: 'exit', time: 5 })
+  t.end()
+})
+
+test('events: the events of a torrent', t => {
+  const torrent = fakeTorrent()
+  const events = []
+  reportTorrent(torrent, (event, data) => events.push({ event, ...data }), { interval: 10 })
+  t.deepEqual(events, [], 'not before the info hash is known')
+
+  torrent.infoHash = 'a'.repeat(40)
+  torrent.emit('infoHash')
+  torrent.name = 'Movie'
+  torrent.magnetURI = 'magnet:?xt=urn:btih:' + torrent.infoHash
+  torrent.files = [{ name: 'a.mkv', path: 'Movie/a.mkv', length: 100, other: true }]
+  torrent.emit('metadata')
+  torrent.emit('wire', { remoteAddress: '10.0.0.1', remotePort: 6881, type: 'tcpOutgoing' })
+  torrent.emit('wire', { type: 'webrtc' })
+
+  t.deepEqual(events, [
+    { event: 'infoHash', infoHash: torrent.infoHash, name: null },
+    { event: 'metadata', infoHash: torrent.infoHash, name: 'Movie', magnetURI: torrent.magnetURI, length: 100, files: [{ name: 'a.mkv', path: 'Movie/a.mkv', length: 100 }] },
+    { event: 'peers', infoHash: torrent.infoHash, name: 'Movie', numPeers: 1, address: '10.0.0.1:6881', type: 'tcpOutgoing' },
+    { event: 'peers', infoHash: torrent.infoHash, name: 'Movie', numPeers: 1, address: null, type: 'webrtc' }
+  ])
+
+  setTimeout(() => {
+    torrent.emit('close')
+    const progress = events.filter(e => e.event === 'progress')
+    t.ok(progress.length > 0)
+    t.deepEqual(progress[0], {
+      event: 'progress',
+      infoHash: torrent.infoHash,
+      name: 'Movie',
+      downloaded: 50,
+      uploaded: 10,
+      length: 100,
+      progress: 0.5,
+      downloadSpeed: 20,
+      uploadSpeed: 5,
+      numPeers: 1,
+      timeRemaining: null,
+      done: false,
+      paused: false
+    }, 'an unknown time remaining is null')
+
+    const count = events.length
+    setTimeout(() => {
+      t.equal(events.length, count, 'no progress after the torrent is closed')
+      t.end()
+    }, 30)
+  }, 35)
+})
@@ -0,0 +1,31 @@
+import chalk from 'chalk'
+import test from 'tape'
+import { buildChoices } from '../lib/file-picker.js'
+
+chalk.level = 0
+
+const files = [
+  { path: 'Show/Season 2/E01.mkv', name: 'E01.mkv', length: 2048 },
+  { path: 'Show/Season 1/E02.mkv', name: 'E02.mkv', length: 1024 },
+  { path: 'Show/Season 1/E01.mkv', name: 'E01.mkv', length: 1024 },
+  { path: 'Show/info.nfo', name: 'info.nfo', length: 10 }
+]
+
+test('file picker: files are listed under their folders', t => {
+  const choices = buildChoices(files, [1])
+
+  t.deepEqual(choices.map(choice => choice.type === 'separator' ? choice.line : choice.name), [
+    'Show/',
+    '  info.nfo (10 B)',
+    '  Season 1/',
+    '    E01.mkv (1.0 KB)',
+    '    E02.mkv (1.0 KB)',
+    '  Season 2/',
+    '    E01.mkv (2.0 KB)'
+  ])
+
+  const fileChoices = choices.filter(choice => choice.type !== 'separator')
+  t.deepEqual(fileChoices.map(choice => choice.value), [3, 2, 1, 0])
+  t.deepEqual(fileChoices.map(choice => choice.checked), [false, false, true, false])
+  t.end()
+})
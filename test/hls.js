@@ -0,0 +1,135 @@
+import fs from 'fs'
+import http from 'http'
+import os from 'os'
+import path from 'path'
+import test from 'tape'
+import { createHlsHandler, ffmpegArgs, hlsPath, parsePlaylist, parseProbe } from '../lib/hls.js'
+
+const probeOutput = `Input #0, matroska,webm, from 'http://localhost:8000/webtorrent/a/Movie.mkv':
+  Duration: 00:00:18.00, start: 0.000000, bitrate: 1000 kb/s
+  Stream #0:0(eng): Video: h264 (High), yuv420p(progressive), 1920x1080, 23.98 fps (default)
+  Stream #0:1(eng): Audio: ac3, 48000 Hz, 5.1(side), fltp, 384 kb/s (default)
+  Stream #0:2(eng): Subtitle: subrip
+  Stream #0:3: Video: mjpeg (Baseline), yuvj420p, 600x900 (attached pic)
+At least one output file must be specified
+`
+
+// Describes the input like ffmpeg, or writes one segment every 20 ms
+const fakeFfmpeg = `#!${process.execPath}
+const fs = require('fs')
+const args = process.argv.slice(2)
+if (!args.includes('-f')) {
+  process.stderr.write(${JSON.stringify(probeOutput)})
+  process.exit(1)
+}
+const playlist = args[args.length - 1]
+const segment = args[args.indexOf('-hls_segment_filename') + 1]
+let text = '#EXTM3U\\n#EXT-X-VERSION:3\\n#EXT-X-TARGETDURATION:6\\n#EXT-X-PLAYLIST-TYPE:EVENT\\n'
+let n = 0
+const timer = setInterval(() => {
+  fs.writeFileSync(segment.replace('%d', n), 'segment ' + n)
+  text += '#EXTINF:6.000000,\\n' + n + '.ts\\n'
+  if (++n === 3) text += '#EXT-X-ENDLIST\\n'
+  fs.writeFileSync(playlist, text)
+  if (n === 3) clearInterval(timer)
+}, 20)
+`
+
+test('hls: parses the ffmpeg output', t => {
+  t.deepEqual(parseProbe(probeOutput), {
+    duration: 18,
+    video: { codec: 'h264', profile: 'High' },
+    audio: { codec: 'ac3', profile: null }
+  }, 'cover art is not the video')
+  t.deepEqual(parseProbe('Invalid data found when processing input'), { duration: null, video: null, audio: null })
+
+  t.deepEqual(parsePlaylist('#EXTM3U\n#EXT-X-TARGETDURATION:6\n#EXTINF:6.006,\n0.ts\n#EXTINF:4.5,\n1.ts\n'), {
+    segments: [{ name: '0.ts', start: 0, duration: 6.006 }, { name: '1.ts', start: 6.006, duration: 4.5 }],
+    ended: false
+  })
+  t.equal(parsePlaylist('#EXTM3U\n#EXT-X-ENDLIST\n').ended, true)
+  t.end()
+})
+
+test('hls: copies what browsers play and transcodes the rest', t => {
+  const args = probe => ffmpegArgs({ input: 'http://a/b.mkv', dir: '/tmp/x', probe }).join(' ')
+
+  const copy = args(parseProbe(probeOutput))
+  t.ok(copy.includes('-map 0:v:0 -c:v copy'))
+  t.ok(copy.includes('-map 0:a:0 -c:a aac'), 'AC-3 is transcoded')
+  t.ok(copy.endsWith(`-hls_segment_filename ${path.join('/tmp/x', '%d.ts')} ${path.join('/tmp/x', 'index.m3u8')}`))
+
+  const transcode = args({ video: { codec: 'h264', profile: 'High 10' }, audio: { codec: 'aac' } })
+  t.ok(transcode.includes('-c:v libx264'), '10 bit H.264 is transcoded')
+  t.ok(transcode.includes('-force_key_frames expr:gte(t,n_forced*6)'))
+  t.ok(transcode.includes('-c:a copy'))
+
+  t.notOk(args({ video: null, audio: { codec: 'mp3' } }).includes('0:v'), 'audio only')
+  t.end()
+})
+
+test('hls: serves the playlist and segments', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webtorrent-hls-test-'))
+  const ffmpeg = path.join(dir, 'ffmpeg')
+  fs.writeFileSync(ffmpeg, fakeFfmpeg, { mode: 0o755 })
+
+  const critical = []
+  const file = { name: 'Movie.mkv', offset: 1000, length: 18000 }
+  const torrent = {
+    infoHash: 'a'.repeat(40),
+    pieceLength: 1000,
+    files: [{ name: 'Movie.nfo' }, file],
+    critical: (start, end) => critical.push([start, end])
+  }
+  const inputs = []
+  const handler = createHlsHandler({ torrents: [torrent] }, {
+    ffmpeg,
+    inputOf: (torrent, file) => inputs.push(file.name) && 'http://localhost/input'
+  })
+  const server = http.createServer((req, res) => {
+    if (handler.handles(req)) return handler(req, res)
+    res.writeHead(418)
+    res.end()
+  })
+
+  const request = (method, path) => new Promise((resolve, reject) => {
+    http.request({ host: '127.0.0.1', port: server.address().port, method, path }, res => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => resolve({ res, body: Buffer.concat(chunks).toString() }))
+    }).on('error', reject).end()
+  })
+
+  server.listen(0, '127.0.0.1', async () => {
+    const base = `/hls/${torrent.infoHash}/1`
+    try {
+      t.equal(hlsPath(torrent, file), `${base}/index.m3u8`)
+
+      const playlist = await request('GET', `${base}/index.m3u8?token=abc`)
+      t.equal(playlist.res.statusCode, 200)
+      t.equal(playlist.res.headers['content-type'], 'application/vnd.apple.mpegurl')
+      t.match(playlist.body, /^#EXTINF:6.000000,\n0\.ts\?token=abc$/m, 'segments keep the token')
+
+      const segment = await request('GET', `${base}/2.ts`)
+      t.equal(segment.res.statusCode, 200, 'waits for the segment')
+      t.equal(segment.res.headers['content-type'], 'video/mp2t')
+      t.equal(segment.body, 'segment 2')
+      t.deepEqual(critical[0], [13, 18], 'the pieces from the segment to the end of the file are critical')
+      t.deepEqual(inputs, ['Movie.mkv'], 'one ffmpeg per file')
+
+      t.equal((await request('GET', `${base}/3.ts`)).res.statusCode, 404, 'not after ffmpeg is done')
+      t.equal((await request('GET', `/hls/${torrent.infoHash}/0/index.m3u8`)).res.statusCode, 404, 'only media files')
+      t.equal((await request('POST', `${base}/index.m3u8`)).res.statusCode, 405)
+      t.equal((await request('GET', '/webtorrent/')).res.statusCode, 418, 'other paths are left to the server')
+
+      const session = handler.sessions.get(`${torrent.infoHash}/1`)
+      handler.close()
+      t.notOk(fs.existsSync(session.dir), 'the segments are removed')
+    } catch (err) {
+      t.error(err)
+    }
+    server.close()
+    fs.rmSync(dir, { recursive: true, force: true })
+    t.end()
+  })
+})
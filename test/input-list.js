@@ -0,0 +1,26 @@
+import test from 'tape'
+import { parseInputList } from '../lib/input-list.js'
+
+test('input list: torrent ids, comments and options', t => {
+  const inputs = parseInputList([
+    '# season packs',
+    'magnet:?xt=urn:btih:d2474e86c95b19b8bcfdb92bc12c9d44667cfa36 out=Books priority=2',
+    '',
+    '   https://example.com/file.torrent#fragment   # a comment',
+    '"/path/with spaces/file.torrent" select=0,2-3 out=/abs'
+  ].join('\n'), { baseDir: '/downloads' })
+
+  t.deepEqual(inputs, [
+    { torrentId: 'magnet:?xt=urn:btih:d2474e86c95b19b8bcfdb92bc12c9d44667cfa36', opts: { path: '/downloads/Books', priority: 2 } },
+    { torrentId: 'https://example.com/file.torrent#fragment', opts: {} },
+    { torrentId: '/path/with spaces/file.torrent', opts: { select: '0,2-3', path: '/abs' } }
+  ])
+  t.end()
+})
+
+test('input list: errors point to the line', t => {
+  t.throws(() => parseInputList('a\nb foo=bar', { source: 'list.txt' }), /^Error: list.txt:2: Unknown option "foo=bar"/)
+  t.throws(() => parseInputList('a priority=high'), /input:1: Invalid priority high/)
+  t.throws(() => parseInputList('"a b'), /input:1: Unterminated quote/)
+  t.end()
+})
@@ -0,0 +1,66 @@
+import EventEmitter from 'events'
+import http from 'http'
+import test from 'tape'
+import { createMetricsServer, renderMetrics, torrentStats } from '../lib/metrics.js'
+
+function fakeTorrent () {
+  return Object.assign(new EventEmitter(), {
+    infoHash: 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36',
+    name: 'Leaves "of" Grass',
+    downloadSpeed: 1024,
+    uploadSpeed: 0,
+    downloaded: 2048,
+    uploaded: 10,
+    length: 4096,
+    progress: 0.5,
+    numPeers: 2,
+    wires: [
+      { type: 'tcpOutgoing', peerChoking: false },
+      { type: 'webrtc', peerChoking: true }
+    ]
+  })
+}
+
+test('metrics: prometheus text format', t => {
+  const torrent = fakeTorrent()
+  torrentStats(torrent)
+  torrent.emit('hotswap')
+  torrent.emit('blockedPeer')
+  torrent.emit('blockedPeer')
+
+  const text = renderMetrics({ torrents: [torrent] })
+  const labels = '{info_hash="d2474e86c95b19b8bcfdb92bc12c9d44667cfa36",name="Leaves \\"of\\" Grass"}'
+
+  t.ok(text.includes('# TYPE webtorrent_torrents gauge\nwebtorrent_torrents 1\n'))
+  t.ok(text.includes('# HELP webtorrent_download_speed_bytes Download speed in bytes per second\n'))
+  t.ok(text.includes(`webtorrent_download_speed_bytes${labels} 1024\n`))
+  t.ok(text.includes('# TYPE webtorrent_downloaded_bytes_total counter\n'))
+  t.ok(text.includes(`webtorrent_downloaded_bytes_total${labels} 2048\n`))
+  t.ok(text.includes(`webtorrent_unchoked_peers${labels} 1\n`))
+  t.ok(text.includes(`webtorrent_hotswaps_total${labels} 1\n`))
+  t.ok(text.includes(`webtorrent_blocked_peers_total${labels} 2\n`))
+  t.ok(text.includes('webtorrent_peers_by_type{info_hash="d2474e86c95b19b8bcfdb92bc12c9d44667cfa36",name="Leaves \\"of\\" Grass",type="webrtc"} 1\n'))
+  t.ok(text.includes('type="utpIncoming"} 0\n'), 'every connection type is exported')
+  t.ok(text.endsWith('\n'))
+  t.end()
+})
+
+test('metrics: serves /metrics only', t => {
+  const server = createMetricsServer({ torrents: [] })
+
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address()
+    http.get({ host: '127.0.0.1', port, path: '/metrics' }, res => {
+      t.equal(res.statusCode, 200)
+      t.equal(res.headers['content-type'], 'text/plain; version=0.0.4; charset=utf-8')
+      res.resume()
+
+      http.get({ host: '127.0.0.1', port, path: '/' }, res => {
+        t.equal(res.statusCode, 404)
+        res.resume()
+        server.close()
+        t.end()
+      })
+    })
+  })
+})
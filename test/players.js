@@ -0,0 +1,76 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import test from 'tape'
+import { createPlayers, detectPlayer, findExecutable, playerCommand } from '../lib/players.js'
+
+const url = 'http://localhost:8000/webtorrent/abc/Big%20Buck%20Bunny.mp4'
+
+test('players: built-in players', t => {
+  const players = createPlayers()
+  t.deepEqual([...players.keys()], ['vlc', 'iina', 'mpv', 'mplayer', 'smplayer', 'omx'])
+
+  t.deepEqual(playerCommand(players.get('mpv'), { urls: [url], subtitles: '/tmp/a b.srt', onTop: true, extraArgs: ['--fs'] }), {
+    command: 'mpv',
+    args: ['--really-quiet', '--loop=no', '--sub-file=/tmp/a b.srt', '--ontop', '--fs', url]
+  })
+
+  t.deepEqual(playerCommand(players.get('vlc'), { command: '/usr/bin/vlc', urls: ['http://a', 'http://b'], debug: true }).args, [
+    '--play-and-exit', '--quiet',
+    '--extraintf=http:logger', '--verbose=2', '--file-logging', '--logfile=vlc-log.txt',
+    'http://a', 'http://b'
+  ])
+
+  t.deepEqual(playerCommand(players.get('omx'), { urls: [url], subtitles: 'a.srt' }).args, [
+    '-e', 'omxplayer', '-r', '--timeout', '60', '--no-ghost-box', '--align', 'center', '-o', 'hdmi',
+    '--subtitles', 'a.srt', url
+  ])
+  t.ok(playerCommand(players.get('omx'), { urls: [url], option: 'local' }).args.includes('local'))
+  t.deepEqual(playerCommand(players.get('mplayer'), { urls: [url], subtitles: '/tmp/$(touch x)".srt' }).args.slice(-3), [
+    '-sub', '/tmp/$(touch x)".srt', url
+  ], 'file names are passed as they are')
+
+  t.deepEqual(playerCommand(players.get('iina'), { urls: [`${url}?token=abc`] }), {
+    open: `iina://weblink?url=${encodeURIComponent(`${url}?token=abc`)}`
+  })
+  t.end()
+})
+
+test('players: user-defined players', t => {
+  const players = createPlayers({
+    celluloid: { command: 'celluloid', playlist: ['--enqueue', '{urls}'], subtitles: ['--mpv-sub-file={subtitles}'] },
+    mpv: { name: 'MPV (windowed)', command: 'mpv', args: ['--no-fs'] }
+  })
+
+  const celluloid = players.get('celluloid')
+  t.equal(celluloid.name, 'celluloid')
+  t.deepEqual(playerCommand(celluloid, { urls: ['http://a', 'http://b'], subtitles: 's.srt', onTop: true }), {
+    command: 'celluloid',
+    args: ['--mpv-sub-file=s.srt', '--enqueue', 'http://a', 'http://b']
+  })
+  t.deepEqual(playerCommand(players.get('mpv'), { urls: ['http://a', 'http://b'] }).args, ['--no-fs', 'http://a'], 'no playlist template plays one file')
+
+  t.throws(() => createPlayers({ foo: 'foo' }), /Player "foo" must be an object/)
+  t.throws(() => createPlayers({ foo: { args: [] } }, { source: 'config.json' }), /^Error: config.json: Player "foo" needs a "command" or an "open" URL/)
+  t.throws(() => createPlayers({ foo: { command: 'foo', url: '{url}' } }), /Player "foo": "url" must be a list of arguments/)
+  t.throws(() => createPlayers({ foo: { command: 'foo', name: 5 } }), /Player "foo": "name" must be a string/)
+  t.end()
+})
+
+test('players: detect installed players', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webtorrent-players-'))
+  const file = path.join(dir, process.platform === 'win32' ? 'fakeplayer.cmd' : 'fakeplayer')
+  fs.writeFileSync(file, '', { mode: 0o755 })
+
+  const PATH = process.env.PATH
+  process.env.PATH = [dir, PATH].join(path.delimiter)
+  try {
+    t.equal(await findExecutable('fakeplayer'), file)
+    t.equal(await findExecutable(file), file)
+    t.equal(await findExecutable('webtorrent-missing-player'), null)
+    t.equal(await detectPlayer({ command: 'lxterminal', detect: 'fakeplayer' }), file)
+    t.equal(await detectPlayer({ command: 'webtorrent-missing-player' }), null)
+  } finally {
+    process.env.PATH = PATH
+  }
+})
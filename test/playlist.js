@@ -0,0 +1,125 @@
+import http from 'http'
+import test from 'tape'
+import { createPlaylistHandler, isMediaFile, playlistEntries, renderM3u, renderPlaylistFile, renderXspf } from '../lib/playlist.js'
+
+function fakeTorrent (infoHash, name, paths) {
+  return {
+    infoHash,
+    name,
+    ready: true,
+    files: paths.map(path => ({
+      name: path.split('/').pop(),
+      path,
+      streamURL: `/webtorrent/${infoHash}/${path.split('/').map(encodeURIComponent).join('/')}`
+    }))
+  }
+}
+
+const show = fakeTorrent('aaaa', 'Show', ['Show/S01E01.mkv', 'Show/S01E02.mkv', 'Show/cover.jpg', 'Show/S01E01.srt'])
+const album = fakeTorrent('bbbb', 'Album & Co', ['Album/01 Intro.mp3', 'Album/02 <Live>.flac'])
+
+test('playlist: media files only', t => {
+  t.ok(isMediaFile('movie.MP4'))
+  t.ok(isMediaFile('song.flac'))
+  t.notOk(isMediaFile('movie.srt'))
+  t.notOk(isMediaFile('readme'))
+
+  const entries = playlistEntries([show, album, { ready: false, files: [] }], {
+    hrefOf: file => `http://localhost:8000${file.streamURL}`,
+    selectedOf: torrent => torrent === show ? [1, 2] : null
+  })
+  t.deepEqual(entries, [
+    { title: 'S01E02', url: 'http://localhost:8000/webtorrent/aaaa/Show/S01E02.mkv' },
+    { title: '01 Intro', url: 'http://localhost:8000/webtorrent/bbbb/Album/01%20Intro.mp3' },
+    { title: '02 <Live>', url: 'http://localhost:8000/webtorrent/bbbb/Album/02%20%3CLive%3E.flac' }
+  ])
+  t.end()
+})
+
+test('playlist: m3u and xspf', t => {
+  const entries = [
+    { title: 'Intro', url: 'http://localhost:8000/a.mp3' },
+    { title: '<Live>\nTake 2', url: 'http://localhost:8000/b.flac?token=x&y' }
+  ]
+
+  t.equal(renderM3u(entries, { title: 'Album' }), [
+    '#EXTM3U',
+    '#PLAYLIST:Album',
+    '#EXTINF:-1,Intro',
+    'http://localhost:8000/a.mp3',
+    '#EXTINF:-1,<Live> Take 2',
+    'http://localhost:8000/b.flac?token=x&y',
+    ''
+  ].join('\n'))
+
+  t.equal(renderXspf(entries, { title: 'Album & Co' }), [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    '  <title>Album &amp; Co</title>',
+    '  <trackList>',
+    '    <track>',
+    '      <location>http://localhost:8000/a.mp3</location>',
+    '      <title>Intro</title>',
+    '    </track>',
+    '    <track>',
+    '      <location>http://localhost:8000/b.flac?token=x&amp;y</location>',
+    '      <title>&lt;Live&gt;\nTake 2</title>',
+    '    </track>',
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n'))
+
+  t.ok(renderPlaylistFile('list.M3U8', entries).startsWith('#EXTM3U\n'))
+  t.ok(renderPlaylistFile('list.xspf', entries).startsWith('<?xml'))
+  t.throws(() => renderPlaylistFile('list.pls', entries), /Unsupported playlist format list.pls/)
+  t.end()
+})
+
+test('playlist: serves /playlist.m3u', t => {
+  const handler = createPlaylistHandler({ torrents: [show, album] }, {
+    hrefOf: (file, req) => `http://${req.headers.host}${file.streamURL}`
+  })
+  const server = http.createServer((req, res) => {
+    if (handler.handles(req)) return handler(req, res)
+    res.writeHead(404)
+    res.end()
+  })
+
+  const get = pathname => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path: pathname }, res => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => resolve({ res, body: Buffer.concat(chunks).toString() }))
+    }).on('error', reject)
+  })
+
+  server.listen(0, '127.0.0.1', async () => {
+    const host = `127.0.0.1:${server.address().port}`
+    try {
+      const all = await get('/playlist.m3u')
+      t.equal(all.res.statusCode, 200)
+      t.equal(all.res.headers['content-type'], 'audio/x-mpegurl; charset=utf-8')
+      t.ok(all.body.startsWith('#EXTM3U\n#PLAYLIST:WebTorrent\n'))
+      t.equal(all.body.split('\n').filter(line => line.startsWith('http://')).length, 4)
+
+      const one = await get('/playlist.m3u?torrent=BBBB')
+      t.equal(one.body, [
+        '#EXTM3U',
+        '#PLAYLIST:Album & Co',
+        '#EXTINF:-1,01 Intro',
+        `http://${host}/webtorrent/bbbb/Album/01%20Intro.mp3`,
+        '#EXTINF:-1,02 <Live>',
+        `http://${host}/webtorrent/bbbb/Album/02%20%3CLive%3E.flac`,
+        ''
+      ].join('\n'))
+
+      t.equal((await get('/playlist.m3u?torrent=cccc')).res.statusCode, 404)
+      t.equal((await get('/playlist.xspf')).res.statusCode, 404, 'other paths are left to the server')
+    } catch (err) {
+      t.error(err)
+    }
+    server.close()
+    t.end()
+  })
+})
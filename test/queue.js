@@ -0,0 +1,56 @@
+import test from 'tape'
+import { Queue } from '../lib/queue.js'
+
+function job (name, log, running) {
+  return done => {
+    log.push(name)
+    running.push(done)
+  }
+}
+
+test('queue: runs at most maxActive jobs', t => {
+  const queue = new Queue({ maxActive: 2 })
+  const log = []
+  const running = []
+
+  ;['a', 'b', 'c', 'd'].forEach(name => queue.push(job(name, log, running)))
+
+  process.nextTick(() => {
+    t.deepEqual(log, ['a', 'b'])
+
+    running.shift()()
+    t.deepEqual(log, ['a', 'b', 'c'])
+
+    // calling done twice does not free two slots
+    const done = running.shift()
+    done()
+    done()
+    t.deepEqual(log, ['a', 'b', 'c', 'd'])
+    t.equal(queue.active, 2)
+
+    queue.once('idle', () => t.end())
+    running.forEach(done => done())
+  })
+})
+
+test('queue: priorities and order', t => {
+  const log = []
+  const running = []
+
+  const fifo = new Queue({ maxActive: 1 })
+  fifo.push(job('a', log, running))
+  fifo.push(job('b', log, running))
+  fifo.push(job('c', log, running), { priority: 1 })
+
+  const lifo = new Queue({ maxActive: 1, order: 'lifo' })
+  lifo.push(job('x', log, running))
+  lifo.push(job('y', log, running))
+  lifo.push(job('z', log, running))
+
+  process.nextTick(() => {
+    while (running.length) running.shift()()
+    t.deepEqual(log, ['c', 'z', 'a', 'y', 'b', 'x'])
+    t.throws(() => new Queue({ order: 'random' }), /Unknown queue order/)
+    t.end()
+  })
+})
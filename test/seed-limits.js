@@ -0,0 +1,58 @@
+import EventEmitter from 'events'
+import test from 'tape'
+import { SeedLimiter, parseDuration } from '../lib/seed-limits.js'
+
+test('seed limits: parse durations', t => {
+  t.equal(parseDuration('90'), 90 * 1000)
+  t.equal(parseDuration('90s'), 90 * 1000)
+  t.equal(parseDuration('30m'), 30 * 60 * 1000)
+  t.equal(parseDuration('6h'), 6 * 60 * 60 * 1000)
+  t.equal(parseDuration('1h30m'), 90 * 60 * 1000)
+  t.equal(parseDuration('0.5d'), 12 * 60 * 60 * 1000)
+  t.throws(() => parseDuration('6 hours'), /Invalid duration/)
+  t.throws(() => parseDuration(''), /Invalid duration/)
+  t.end()
+})
+
+test('seed limits: ratio, seed time and idle time', t => {
+  const torrent = Object.assign(new EventEmitter(), { downloaded: 100, uploaded: 0 })
+  t.notOk(SeedLimiter.hasLimits({}))
+  t.ok(SeedLimiter.hasLimits({ ratio: 2 }))
+
+  const limiter = new SeedLimiter(torrent, { ratio: 2, time: 60000, idle: 10000 }).start(() => {})
+  const start = limiter.seedingSince
+
+  t.deepEqual(limiter.status(start + 1000), { ratio: 0, timeLeft: 9000, reached: null })
+  t.equal(limiter.status(start + 10000).reached, 'idle')
+
+  torrent.emit('upload', 16384)
+  t.equal(limiter.status(limiter.lastActive + 5000).timeLeft, 5000)
+  t.equal(limiter.status(start + 60000).reached, 'time')
+
+  torrent.uploaded = 200
+  t.equal(limiter.status(start + 1000).ratio, 2)
+  t.equal(limiter.status(start + 1000).reached, 'ratio')
+
+  limiter.stop()
+  t.equal(torrent.listenerCount('upload'), 0)
+  t.end()
+})
+
+test('seed limits: uploaded bytes of earlier sessions count', t => {
+  const torrent = Object.assign(new EventEmitter(), { downloaded: 100, uploaded: 10 })
+  const limiter = new SeedLimiter(torrent, { ratio: 1 }, { uploaded: () => torrent.uploaded + 90 })
+  limiter.seedingSince = limiter.lastActive = Date.now()
+
+  t.equal(limiter.status().reached, 'ratio')
+  t.end()
+})
+
+test('seed limits: the ratio is of the selected files', t => {
+  const torrent = Object.assign(new EventEmitter(), { length: 1000, downloaded: 100, uploaded: 100 })
+  const limiter = new SeedLimiter(torrent, { ratio: 1 })
+  limiter.seedingSince = limiter.lastActive = Date.now()
+
+  t.equal(limiter.status().ratio, 1)
+  t.equal(limiter.status().reached, 'ratio')
+  t.end()
+})
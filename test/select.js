@@ -0,0 +1,41 @@
+import test from 'tape'
+import { selectFiles } from '../lib/select.js'
+
+const files = [
+  'Show/Season 1/Show.S01E01.mkv',
+  'Show/Season 1/Show.S01E02.mkv',
+  'Show/Season 1/Show.S01E03.MKV',
+  'Show/Season 1/Show.S01E03.srt',
+  'Show/Show.nfo',
+  'Show/Sample/sample.mkv'
+].map(path => ({ path }))
+
+test('select: all files by default', t => {
+  t.deepEqual(selectFiles(files), [0, 1, 2, 3, 4, 5])
+  t.end()
+})
+
+test('select: indexes, lists and ranges', t => {
+  t.deepEqual(selectFiles(files, 2), [2])
+  t.deepEqual(selectFiles(files, '0,2'), [0, 2])
+  t.deepEqual(selectFiles(files, '0, 3-5'), [0, 3, 4, 5])
+  t.deepEqual(selectFiles(files, [4, '1-2', 1]), [1, 2, 4])
+  t.throws(() => selectFiles(files, 6), /no file that maps to index 6/)
+  t.throws(() => selectFiles(files, '3-1'), /Invalid range/)
+  t.end()
+})
+
+test('select: globs', t => {
+  t.deepEqual(selectFiles(files, '**/*.mkv'), [0, 1, 2, 5])
+  t.deepEqual(selectFiles(files, '*.{mkv,srt}'), [0, 1, 2, 3, 5])
+  t.deepEqual(selectFiles(files, 'Show/Season 1/*E02*,4'), [1, 4])
+  t.throws(() => selectFiles(files, '*.avi'), /no file that matches \*\.avi/)
+  t.end()
+})
+
+test('select: exclusions', t => {
+  t.deepEqual(selectFiles(files, undefined, '*.nfo'), [0, 1, 2, 3, 5])
+  t.deepEqual(selectFiles(files, '*.mkv', ['**/Sample/**', '*.srt']), [0, 1, 2])
+  t.throws(() => selectFiles(files, 4, '*.nfo'), /No files left/)
+  t.end()
+})
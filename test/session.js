@@ -0,0 +1,75 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import fixtures from 'webtorrent-fixtures'
+import test from 'tape'
+import { Session } from '../lib/session.js'
+
+function fakeTorrent (opts) {
+  return Object.assign({
+    infoHash: fixtures.leaves.parsedTorrent.infoHash,
+    name: fixtures.leaves.parsedTorrent.name,
+    magnetURI: `magnet:?xt=urn:btih:${fixtures.leaves.parsedTorrent.infoHash}`,
+    torrentFile: fixtures.leaves.torrent,
+    path: '/downloads',
+    paused: false,
+    done: false,
+    received: 100,
+    uploaded: 50,
+    bitfield: { buffer: new Uint8Array([0xff, 0x80]) }
+  }, opts)
+}
+
+test('session: missing session file is empty', t => {
+  const session = new Session(path.join(os.tmpdir(), `webtorrent-missing-${process.pid}.json`))
+  t.deepEqual(session.read(), [])
+  t.end()
+})
+
+test('session: save and restore torrents', t => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'webtorrent-')), 'session.json')
+
+  const first = new Session(file)
+  const torrent = fakeTorrent({ paused: true })
+  first.track(torrent, { select: 2, keepSeeding: true })
+  first.write([torrent, fakeTorrent({ infoHash: null }), fakeTorrent({ destroyed: true })])
+
+  const second = new Session(file)
+  const restored = second.read()
+  t.equal(restored.length, 1)
+  t.deepEqual(restored[0].torrentId, Buffer.from(fixtures.leaves.torrent))
+  t.equal(restored[0].opts.path, '/downloads')
+  t.equal(restored[0].opts.paused, true)
+  t.equal(restored[0].opts.select, 2)
+  t.equal(restored[0].opts.keepSeeding, true)
+  t.deepEqual([...restored[0].opts.bitfield], [0xff, 0x80])
+
+  // Byte counters add up across sessions
+  t.deepEqual(second.totals(fakeTorrent()), { downloaded: 200, uploaded: 100 })
+
+  fs.rmSync(path.dirname(file), { recursive: true })
+  t.end()
+})
+
+test('session: seeding torrents go on seeding', t => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'webtorrent-')), 'session.json')
+
+  new Session(file).write([fakeTorrent({ done: true })])
+  t.equal(new Session(file).read()[0].opts.keepSeeding, true)
+
+  new Session(file).write([fakeTorrent()])
+  t.notOk(new Session(file).read()[0].opts.keepSeeding)
+
+  fs.rmSync(path.dirname(file), { recursive: true })
+  t.end()
+})
+
+test('session: invalid session file', t => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'webtorrent-')), 'session.json')
+  fs.writeFileSync(file, '{ "version": 42 }')
+
+  t.throws(() => new Session(file).read(), /Unsupported session file/)
+
+  fs.rmSync(path.dirname(file), { recursive: true })
+  t.end()
+})
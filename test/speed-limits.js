@@ -0,0 +1,79 @@
+import test from 'tape'
+import { SpeedLimits, activeRule, parseSchedule } from '../lib/speed-limits.js'
+
+// 2024-01-01 was a Monday
+const at = (day, time) => new Date(`2024-01-0${day}T${time}:00`)
+
+test('speed limits: parse schedule', t => {
+  const rules = parseSchedule(`
+    # office hours
+    weekdays 09:00-18:00 down=500 up=50
+    sat,sun  10:00-14:00 up=200   # weekend
+    mon-tue  23:00-07:00 down=unlimited
+  `)
+
+  t.equal(rules.length, 3)
+  t.deepEqual([...rules[0].days], [1, 2, 3, 4, 5])
+  t.deepEqual(rules[0], { days: rules[0].days, start: 9 * 60, end: 18 * 60, down: 500 * 1024, up: 50 * 1024, text: 'weekdays 09:00-18:00 down=500 up=50' })
+  t.deepEqual([...rules[1].days], [6, 0])
+  t.equal(rules[1].down, undefined)
+  t.equal(rules[2].down, -1)
+
+  t.deepEqual([...parseSchedule('fri-mon 00:00-24:00 up=1')[0].days], [5, 6, 0, 1])
+  t.throws(() => parseSchedule('weekdays down=500'), /schedule:1: Invalid hours/)
+  t.throws(() => parseSchedule('\nsomeday 09:00-18:00 down=1'), /schedule:2: Invalid days "someday"/)
+  t.throws(() => parseSchedule('daily 09:00-09:00 down=1'), /Empty hours/)
+  t.throws(() => parseSchedule('daily 25:00-26:00 down=1'), /Invalid hours/)
+  t.throws(() => parseSchedule('daily 09:00-18:00 speed=1'), /Unknown limit "speed=1"/)
+  t.throws(() => parseSchedule('daily 09:00-18:00 down=fast'), /Invalid speed "fast"/)
+  t.throws(() => parseSchedule('daily 09:00-18:00'), /Expected down= or up=/)
+  t.end()
+})
+
+test('speed limits: active rule', t => {
+  const rules = parseSchedule('weekdays 09:00-18:00 down=500\nmon 22:00-06:00 up=10')
+
+  t.equal(activeRule(rules, at(1, '09:00')), rules[0])
+  t.equal(activeRule(rules, at(5, '17:59')), rules[0])
+  t.equal(activeRule(rules, at(5, '18:00')), null)
+  t.equal(activeRule(rules, at(6, '12:00')), null)
+
+  // hours that cross midnight
+  t.equal(activeRule(rules, at(1, '23:30')), rules[1])
+  t.equal(activeRule(rules, at(2, '05:59')), rules[1])
+  t.equal(activeRule(rules, at(1, '05:59')), null)
+  t.end()
+})
+
+test('speed limits: alternative speed and throttling', t => {
+  const calls = []
+  const client = {
+    throttleDownload: rate => calls.push(['down', rate]),
+    throttleUpload: rate => calls.push(['up', rate])
+  }
+  const limits = new SpeedLimits(client, {
+    normal: { down: -1, up: 100 },
+    alt: { up: 10 },
+    rules: parseSchedule('weekdays 09:00-18:00 down=500')
+  })
+
+  t.deepEqual(limits.status(at(1, '10:00')), { profile: 'schedule', rule: 'weekdays 09:00-18:00 down=500', down: 500 * 1024, up: 100, alt: false })
+  t.deepEqual(limits.status(at(6, '10:00')), { profile: 'normal', rule: null, down: -1, up: 100, alt: false })
+
+  limits.altEnabled = true
+  t.deepEqual(limits.status(at(1, '10:00')), { profile: 'alt', rule: 'weekdays 09:00-18:00 down=500', alt: true, down: 500 * 1024, up: 10 })
+
+  const changes = []
+  limits.on('change', status => changes.push(status.profile))
+  limits.altEnabled = false
+  limits.rules = []
+
+  limits.update()
+  t.deepEqual(calls, [['down', -1], ['up', 100]])
+
+  limits.setAlt()
+  t.deepEqual(calls.slice(2), [['up', 10]], 'only changed limits are applied')
+  limits.setAlt(false)
+  t.deepEqual(changes, ['alt', 'normal'])
+  t.end()
+})
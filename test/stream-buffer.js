@@ -0,0 +1,146 @@
+import EventEmitter from 'events'
+import test from 'tape'
+import { StreamBuffer } from '../lib/stream-buffer.js'
+
+const MB = 1000 * 1000
+
+// 1 MB pieces in the default order of webtorrent, `have` are the downloaded ones
+function fakeTorrent (numPieces, have = []) {
+  const verified = new Set(have)
+  const torrent = {
+    strategy: 'sequential',
+    pieceLength: MB,
+    pieces: new Array(numPieces).fill({}),
+    bitfield: { get: i => verified.has(i) },
+    criticalPieces: [],
+    critical: (from, to) => torrent.criticalPieces.push([from, to]),
+    verify: i => verified.add(i)
+  }
+  return torrent
+}
+
+class FakeStream extends EventEmitter {
+  constructor (range) {
+    super()
+    this.range = range
+    this.destroyed = false
+  }
+
+  resume () {}
+
+  destroy () {
+    this.destroyed = true
+    this.emit('close')
+  }
+}
+
+// Keeps the read streams, like the ones of `file.createReadStream()`
+class FakeFile extends EventEmitter {
+  constructor (offset, length) {
+    super()
+    this.offset = offset
+    this.length = length
+    this.done = false
+    this.streams = []
+  }
+
+  createReadStream (range) {
+    const stream = new FakeStream(range)
+    this.streams.push(stream)
+    return stream
+  }
+}
+
+const open = file => file.streams.filter(stream => !stream.destroyed).map(stream => stream.range)
+
+test('stream-buffer: preloads the first and last pieces of the files', t => {
+  const torrent = fakeTorrent(20, [19])
+  const critical = torrent.criticalPieces
+  const buffer = new StreamBuffer(torrent)
+  const files = [new FakeFile(0, 10 * MB), new FakeFile(10 * MB, 10 * MB)]
+
+  buffer.setFiles(files)
+  t.deepEqual(open(files[0]), [{ start: 0, end: MB - 1 }, { start: 9 * MB, end: 10 * MB - 1 }])
+  t.deepEqual(open(files[1]), [{ start: 0, end: MB - 1 }], 'not the pieces that are downloaded')
+  t.deepEqual(critical, [[0, 0], [9, 9], [10, 10]])
+  t.equal(buffer.window, null, 'no window without a size')
+  t.equal(torrent.strategy, 'sequential', 'the order of the pieces is left to webtorrent')
+
+  buffer.setFiles(files)
+  t.equal(critical.length, 3, 'files are preloaded once')
+
+  buffer.destroy()
+  t.deepEqual(open(files[0]), [], 'the preloads stop')
+  t.equal(files[0].listenerCount('stream'), 0)
+  t.end()
+})
+
+test('stream-buffer: keeps a window ahead of the read position', t => {
+  const torrent = fakeTorrent(30, [0, 1])
+  const critical = torrent.criticalPieces
+  const file = new FakeFile(5 * MB, 25 * MB)
+  const buffer = new StreamBuffer(torrent, { size: 4 * MB })
+
+  buffer.setFiles([file])
+  t.deepEqual(buffer.window, { from: 5, to: 8 }, 'from the start before anything is read')
+  t.deepEqual(buffer.status(), { file, position: 0, buffered: 0, size: 4 * MB })
+  t.deepEqual(open(file).pop(), { start: 0, end: 4 * MB - 1 })
+
+  // A player seeks to the middle of the file through the http server
+  const stream = new FakeStream()
+  file.emit('stream', { stream, req: { headers: { range: 'bytes=10000000-' } }, file })
+  t.deepEqual(buffer.window, { from: 5, to: 8 }, 'not before the server reads the stream')
+  stream.emit('piping')
+  t.deepEqual(buffer.window, { from: 15, to: 18 })
+  t.deepEqual(open(file).pop(), { start: 10 * MB, end: 14 * MB - 1 })
+  t.equal(file.streams.filter(s => !s.destroyed).length, 3, 'the old window is dropped')
+
+  torrent.verify(15)
+  torrent.verify(16)
+  stream.emit('data', Buffer.alloc(MB / 2))
+  stream.emit('data', Buffer.alloc(MB / 2))
+  t.deepEqual(buffer.window, { from: 17, to: 19 }, 'moves with the reads, from the missing pieces')
+  t.deepEqual(buffer.status(), { file, position: 11 * MB, buffered: MB, size: 4 * MB })
+  t.deepEqual(critical[critical.length - 1], [17, 19])
+
+  buffer.update()
+  t.equal(file.streams.filter(s => !s.destroyed).length, 3)
+
+  buffer.destroy()
+  t.deepEqual(open(file), [])
+  t.equal(file.listenerCount('stream'), 0, 'reads are not followed anymore')
+  t.end()
+})
+
+test('stream-buffer: follows other streams from the start', t => {
+  const torrent = fakeTorrent(10)
+  const file = new FakeFile(0, 10 * MB)
+  const buffer = new StreamBuffer(torrent, { size: 2 * MB })
+
+  buffer.setFiles([file])
+  const stream = new FakeStream()
+  buffer.follow(file, stream)
+  stream.emit('data', Buffer.alloc(3 * MB))
+  t.deepEqual(buffer.window, { from: 3, to: 4 })
+
+  buffer.follow(new FakeFile(0, MB), new FakeStream(), 0)
+  t.equal(buffer.status().position, 3 * MB, 'only the buffered files')
+  buffer.destroy()
+  t.end()
+})
+
+test('stream-buffer: nothing to buffer', t => {
+  const torrent = fakeTorrent(4, [0, 1, 2, 3])
+  const critical = torrent.criticalPieces
+  const file = new FakeFile(0, 4 * MB)
+  file.done = true
+  const buffer = new StreamBuffer(torrent, { size: 2 * MB })
+
+  buffer.setFiles([file, new FakeFile(4 * MB, 0)])
+  t.equal(buffer.window, null)
+  t.equal(buffer.status(), null)
+  t.deepEqual(critical, [])
+  t.deepEqual(file.streams, [])
+  buffer.destroy()
+  t.end()
+})
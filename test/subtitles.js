@@ -0,0 +1,130 @@
+import http from 'http'
+import test from 'tape'
+import { createSubtitlesHandler, findSubtitles, isSubtitleFile, languageCode, subtitleLanguage, subtitlesPath } from '../lib/subtitles.js'
+
+function files (paths) {
+  return paths.map(path => ({ path, name: path.split('/').pop() }))
+}
+
+function find (paths, videoPath, opts) {
+  const torrentFiles = files(paths)
+  const video = torrentFiles.find(file => file.path === videoPath)
+  return findSubtitles(torrentFiles, video, opts).map(({ file, lang }) => [file.path, lang])
+}
+
+test('subtitles: languages', t => {
+  t.equal(languageCode('en'), 'en')
+  t.equal(languageCode('ENG'), 'en')
+  t.equal(languageCode('Português'), null)
+  t.equal(languageCode('portuguese'), 'pt')
+  t.equal(languageCode('xx'), null)
+
+  t.equal(subtitleLanguage('Movie.en.srt'), 'en')
+  t.equal(subtitleLanguage('2_Spanish.srt'), 'es')
+  t.equal(subtitleLanguage('Movie.fre.forced.ass'), 'fr')
+  t.equal(subtitleLanguage('Movie.srt'), null)
+
+  t.ok(isSubtitleFile('a.SRT'))
+  t.ok(isSubtitleFile('a.ass'))
+  t.notOk(isSubtitleFile('a.txt'))
+  t.end()
+})
+
+test('subtitles: files next to the video', t => {
+  const paths = [
+    'Show/Show.S01E01.mkv',
+    'Show/Show.S01E01.srt',
+    'Show/Show.S01E01.es.srt',
+    'Show/Show.S01E01 - English.vtt',
+    'Show/Show.S01E02.mkv',
+    'Show/Show.S01E02.en.srt',
+    'Show/Show.S01E010.en.srt',
+    'Show/notes.txt'
+  ]
+
+  t.deepEqual(find(paths, 'Show/Show.S01E01.mkv'), [
+    ['Show/Show.S01E01.srt', null],
+    ['Show/Show.S01E01.es.srt', 'es'],
+    ['Show/Show.S01E01 - English.vtt', 'en']
+  ])
+  t.deepEqual(find(paths, 'Show/Show.S01E01.mkv', { langs: ['en', 'es'] }), [
+    ['Show/Show.S01E01 - English.vtt', 'en'],
+    ['Show/Show.S01E01.es.srt', 'es'],
+    ['Show/Show.S01E01.srt', null]
+  ])
+  t.deepEqual(find(paths, 'Show/Show.S01E02.mkv'), [['Show/Show.S01E02.en.srt', 'en']])
+  t.end()
+})
+
+test('subtitles: subtitle folders', t => {
+  t.deepEqual(find([
+    'The.Italian.Job.2003/The.Italian.Job.2003.mp4',
+    'The.Italian.Job.2003/Subs/2_English.srt',
+    'The.Italian.Job.2003/Subs/3_French.srt'
+  ], 'The.Italian.Job.2003/The.Italian.Job.2003.mp4', { langs: ['fr'] }), [
+    ['The.Italian.Job.2003/Subs/3_French.srt', 'fr'],
+    ['The.Italian.Job.2003/Subs/2_English.srt', 'en']
+  ], 'the language comes from the subtitle part of the name')
+
+  const paths = [
+    'Show/Show.S01E01.mkv',
+    'Show/Show.S01E02.mkv',
+    'Show/Subs/Show.S01E01/2_English.srt',
+    'Show/Subs/Show.S01E02/2_English.srt',
+    'Show/Subs/English.srt',
+    'Show/Subs/Show.S01E02.de.srt'
+  ]
+  t.deepEqual(find(paths, 'Show/Show.S01E02.mkv'), [
+    ['Show/Subs/Show.S01E02/2_English.srt', 'en'],
+    ['Show/Subs/Show.S01E02.de.srt', 'de']
+  ], 'subtitles without the name of the video only go with a single video')
+  t.end()
+})
+
+test('subtitles: serves torrent subtitles as WebVTT', t => {
+  const infoHash = 'a'.repeat(40)
+  const torrent = {
+    infoHash,
+    files: [
+      { name: 'Movie.mkv' },
+      { name: 'Movie.en.srt', arrayBuffer: async () => new TextEncoder().encode('1\n00:00:01,000 --> 00:00:02,000\nHi\n').buffer },
+      { name: 'Movie.de.srt', arrayBuffer: async () => { throw new Error('Torrent destroyed') } }
+    ]
+  }
+  t.equal(subtitlesPath(torrent, torrent.files[1]), `/subtitles/${infoHash}/1.vtt`)
+
+  const handler = createSubtitlesHandler({ torrents: [torrent] }, { offset: 1 })
+  const server = http.createServer((req, res) => {
+    if (handler.handles(req)) return handler(req, res)
+    res.writeHead(418)
+    res.end()
+  })
+
+  const get = pathname => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path: pathname }, res => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => resolve({ res, body: Buffer.concat(chunks).toString() }))
+    }).on('error', reject)
+  })
+
+  server.listen(0, '127.0.0.1', async () => {
+    try {
+      const { res, body } = await get(`/subtitles/${infoHash}/1.vtt`)
+      t.equal(res.statusCode, 200)
+      t.equal(res.headers['content-type'], 'text/vtt; charset=utf-8')
+      t.equal(res.headers['access-control-allow-origin'], '*')
+      t.equal(body, 'WEBVTT\n\n00:00:02.000 --> 00:00:03.000\nHi\n\n')
+
+      t.equal((await get(`/subtitles/${infoHash}/0.vtt`)).res.statusCode, 404, 'only subtitle files')
+      t.equal((await get(`/subtitles/${infoHash}/5.vtt`)).res.statusCode, 404)
+      t.equal((await get(`/subtitles/${'b'.repeat(40)}/1.vtt`)).res.statusCode, 404)
+      t.equal((await get(`/subtitles/${infoHash}/2.vtt`)).res.statusCode, 500)
+      t.equal((await get('/webtorrent/')).res.statusCode, 418, 'other paths are left to the server')
+    } catch (err) {
+      t.error(err)
+    }
+    server.close()
+    t.end()
+  })
+})
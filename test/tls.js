@@ -0,0 +1,44 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import test from 'tape'
+import { readCertificate, selfSignedCertificate } from '../lib/tls.js'
+
+test('tls: self-signed certificate', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webtorrent-tls-'))
+
+  const { cert, key } = await selfSignedCertificate(['localhost', '127.0.0.1', '::1'], dir)
+  const x509 = new crypto.X509Certificate(cert)
+  t.ok(x509.checkHost('localhost'))
+  t.ok(x509.checkIP('127.0.0.1'))
+  t.ok(x509.checkIP('::1'))
+  t.ok(x509.checkPrivateKey(crypto.createPrivateKey(key)))
+  t.equal(fs.statSync(path.join(dir, 'tls-key.pem')).mode & 0o777, process.platform === 'win32' ? 0o666 : 0o600)
+
+  const again = await selfSignedCertificate(['localhost', '127.0.0.1'], dir)
+  t.equal(String(again.cert), String(cert), 'reused while it covers the hosts')
+
+  const renewed = await selfSignedCertificate(['localhost', '192.168.1.20'], dir)
+  t.notEqual(String(renewed.cert), String(cert), 'renewed for a new host')
+  t.ok(new crypto.X509Certificate(renewed.cert).checkIP('192.168.1.20'))
+})
+
+test('tls: read certificate files', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webtorrent-tls-'))
+  await selfSignedCertificate(['localhost'], dir)
+  const certFile = path.join(dir, 'tls-cert.pem')
+  const keyFile = path.join(dir, 'tls-key.pem')
+
+  const { cert, key } = readCertificate(certFile, keyFile)
+  t.equal(String(cert), fs.readFileSync(certFile, 'utf8'))
+  t.equal(String(key), fs.readFileSync(keyFile, 'utf8'))
+
+  t.throws(() => readCertificate(path.join(dir, 'missing.pem'), keyFile), /Could not read TLS certificate/)
+  t.throws(() => readCertificate(keyFile, keyFile), /Invalid TLS certificate or key/)
+
+  const otherKey = path.join(dir, 'other-key.pem')
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+  fs.writeFileSync(otherKey, privateKey.export({ type: 'pkcs8', format: 'pem' }))
+  t.throws(() => readCertificate(certFile, otherKey), /does not belong to certificate/)
+})
@@ -0,0 +1,190 @@
+import chalk from 'chalk'
+import EventEmitter from 'events'
+import test from 'tape'
+import { Tui, fit, pieceMap, progressBar, stepLimit } from '../lib/tui.js'
+
+chalk.level = 0
+
+function bitfield (bits) {
+  return { get: i => !!bits[i] }
+}
+
+function fakeTorrent () {
+  return Object.assign(new EventEmitter(), {
+    name: 'Leaves of Grass',
+    infoHash: 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36',
+    ready: true,
+    paused: false,
+    done: false,
+    progress: 0.5,
+    length: 3000,
+    downloaded: 1500,
+    uploaded: 0,
+    downloadSpeed: 0,
+    uploadSpeed: 0,
+    numPeers: 1,
+    timeRemaining: Infinity,
+    pieces: [1, 2, 3, 4],
+    bitfield: bitfield([1, 1, 0, 0]),
+    files: [
+      { path: 'Leaves/b.txt', length: 1000, progress: 1 },
+      { path: 'Leaves/a.txt', length: 2000, progress: 0.25 }
+    ],
+    wires: [{
+      remoteAddress: '10.0.0.1',
+      remotePort: 6881,
+      type: 'tcpOutgoing',
+      peerPieces: bitfield([0, 0, 1, 0]),
+      downloaded: 100,
+      uploaded: 0,
+      downloadSpeed: () => 10,
+      uploadSpeed: () => 0,
+      amInterested: true,
+      peerChoking: false
+    }],
+    pause () { this.paused = true },
+    resume () { this.paused = false }
+  })
+}
+
+function fakeTerminal () {
+  const stdin = Object.assign(new EventEmitter(), { resume () {}, pause () {} })
+  const stdout = Object.assign(new EventEmitter(), {
+    columns: 80,
+    rows: 20,
+    output: '',
+    write (data) { this.output = data }
+  })
+  return { stdin, stdout }
+}
+
+test('tui: layout helpers', t => {
+  t.equal(fit('abc', 5), 'abc  ')
+  t.equal(fit('abcdef', 4), 'abc…')
+  t.equal(progressBar(0.5, 4), '██░░')
+  t.equal(progressBar(2, 2), '██')
+
+  t.equal(stepLimit(-1, -1), 10000 * 1024, 'lowering unlimited starts at the highest step')
+  t.equal(stepLimit(500 * 1024, -1), 200 * 1024)
+  t.equal(stepLimit(300 * 1024, 1), 500 * 1024)
+  t.equal(stepLimit(10 * 1024, -1), 10 * 1024)
+  t.equal(stepLimit(10000 * 1024, 1), -1)
+  t.end()
+})
+
+test('tui: piece map', t => {
+  const torrent = fakeTorrent()
+  t.deepEqual(pieceMap(torrent, 4, 1), ['██░·'])
+  t.deepEqual(pieceMap(torrent, 2, 1), ['█░'], 'several pieces share a cell')
+  t.deepEqual(pieceMap(torrent, 1, 4), ['█', '█', '░', '·'])
+
+  torrent.bitfield = bitfield([1, 0, 0, 0])
+  t.deepEqual(pieceMap(torrent, 2, 1), ['▓░'])
+  t.end()
+})
+
+test('tui: files, sorting and selection', t => {
+  const torrent = fakeTorrent()
+  let selected = [0, 1]
+  const { stdin, stdout } = fakeTerminal()
+  const tui = new Tui({
+    stdin,
+    stdout,
+    fileSelections: new Map([[torrent, { get: () => selected, set: indexes => (selected = indexes) }]])
+  }).start()
+  tui.add(torrent)
+
+  t.ok(stdout.output.startsWith('\x1b[H'))
+  t.ok(stdout.output.includes('[1/1] Leaves of Grass'))
+  const lines = stdout.output.split('\n')
+  t.ok(lines.findIndex(line => line.includes('b.txt')) < lines.findIndex(line => line.includes('a.txt')), 'files are in torrent order')
+
+  stdin.emit('keypress', 's', { name: 's' })
+  stdin.emit('keypress', 's', { name: 's' })
+  t.equal(tui.sort.files.column, 3, 'the Sel column is skipped')
+  t.deepEqual(tui.tableRows().map(row => row.index), [0, 1], 'sorted by size')
+  stdin.emit('keypress', 'r', { name: 'r' })
+  t.deepEqual(tui.tableRows().map(row => row.index), [1, 0], 'reversed')
+
+  stdin.emit('keypress', ' ', { name: 'space' })
+  t.deepEqual(selected, [0])
+  stdin.emit('keypress', ' ', { name: 'space' })
+  t.deepEqual(selected, [0, 1])
+  stdin.emit('keypress', undefined, { name: 'down' })
+  stdin.emit('keypress', ' ', { name: 'space' })
+  stdin.emit('keypress', undefined, { name: 'up' })
+  stdin.emit('keypress', ' ', { name: 'space' })
+  t.deepEqual(selected, [1])
+  t.ok(stdout.output.includes('At least one file has to be selected'))
+
+  stdin.emit('keypress', 'p', { name: 'p' })
+  t.equal(torrent.paused, true)
+  t.ok(stdout.output.includes('Paused'))
+
+  tui.close()
+  t.ok(stdout.output.endsWith('\x1b[?1049l'), 'the screen is restored')
+  t.equal(stdin.listenerCount('keypress'), 0)
+  t.end()
+})
+
+test('tui: several torrents', t => {
+  const first = fakeTorrent()
+  const second = Object.assign(fakeTorrent(), { name: 'Moby Dick', infoHash: '08ada5a7a6183aae1e09d831df6748d566095a10' })
+  const { stdin, stdout } = fakeTerminal()
+  const tui = new Tui({ stdin, stdout }).start()
+  tui.add(first)
+  tui.add(second)
+  tui.add(second)
+  t.ok(stdout.output.includes('[1/2] Leaves of Grass'), 'a torrent is added once')
+
+  stdin.emit('keypress', undefined, { name: 'right' })
+  t.ok(stdout.output.includes('[2/2] Moby Dick'))
+  stdin.emit('keypress', undefined, { name: 'right' })
+  t.ok(stdout.output.includes('[1/2] Leaves of Grass'), 'wraps around')
+  stdin.emit('keypress', undefined, { name: 'left' })
+  t.ok(stdout.output.includes('[2/2] Moby Dick'))
+
+  first.emit('close')
+  t.ok(stdout.output.includes('[1/1] Moby Dick'), 'closed torrents are removed')
+
+  tui.close()
+  t.end()
+})
+
+test('tui: peers, pieces, speed limits and quitting', t => {
+  const torrent = fakeTorrent()
+  const { stdin, stdout } = fakeTerminal()
+  const limits = []
+  const speedLimits = {
+    normal: { down: -1, up: 100 * 1024 },
+    setLimits (normal) {
+      limits.push(normal)
+      this.normal = normal
+      return { profile: 'normal' }
+    }
+  }
+  const tui = new Tui({ stdin, stdout, speedLimits, status: () => ['Server running'] }).start()
+  tui.add(torrent)
+  t.ok(stdout.output.includes('Server running'))
+
+  stdin.emit('keypress', '\t', { name: 'tab' })
+  t.ok(stdout.output.includes('10.0.0.1:6881'))
+  t.ok(stdout.output.includes('TCPOUT'))
+
+  stdin.emit('keypress', '\t', { name: 'tab' })
+  t.ok(stdout.output.includes('██░·'))
+
+  stdin.emit('keypress', 'D', { name: 'd', shift: true })
+  stdin.emit('keypress', 'u', { name: 'u' })
+  t.deepEqual(limits, [{ down: -1, up: 100 * 1024 }, { down: -1, up: 50 * 1024 }])
+  t.ok(stdout.output.includes('Upload limit set to 51 KB/s'))
+
+  stdin.emit('keypress', '?', { sequence: '?' })
+  t.ok(stdout.output.includes('Show or hide this help'))
+
+  tui.once('quit', () => {
+    tui.close()
+    t.end()
+  })
+  stdin.emit('keypress', 'q', { name: 'q' })
+})
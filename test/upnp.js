@@ -0,0 +1,159 @@
+import dgram from 'dgram'
+import EventEmitter from 'events'
+import http from 'http'
+import test from 'tape'
+import { SsdpServer, contentObjects, createUpnpHandler, deviceUuid } from '../lib/upnp.js'
+
+function fakeTorrent (infoHash, name, paths) {
+  return {
+    infoHash,
+    name,
+    ready: true,
+    files: paths.map(path => ({
+      name: path.split('/').pop(),
+      path,
+      length: 1000,
+      streamURL: `/webtorrent/${infoHash}/${path.split('/').map(encodeURIComponent).join('/')}`
+    }))
+  }
+}
+
+const show = fakeTorrent('a'.repeat(40), 'Show', [
+  'Show/Season 1/Show S01E10.mkv',
+  'Show/Season 1/Show S01E02.mkv',
+  'Show/Season 1/Show S01E02.srt',
+  'Show/Extras/Trailer & Teaser.mp4',
+  'Show/cover.jpg',
+  'Show/readme.txt'
+])
+const movie = fakeTorrent('b'.repeat(40), 'Movie.mkv', ['Movie.mkv'])
+const docs = fakeTorrent('c'.repeat(40), 'Docs', ['Docs/a.pdf', 'Docs/b.txt'])
+
+test('upnp: content objects', t => {
+  const objects = contentObjects([show, movie, docs, { infoHash: 'd'.repeat(40), ready: false }])
+  const titles = id => objects.get(id).children.map(child => child.title)
+
+  t.deepEqual(titles('0'), ['Movie.mkv', 'Show'], 'torrents without media files are left out')
+  t.deepEqual(titles(show.infoHash), ['Extras', 'Season 1', 'cover'])
+  t.deepEqual(titles(`${show.infoHash}/Season 1`), ['Show S01E02', 'Show S01E10'])
+  t.equal(objects.get(`${show.infoHash}:0`).parentId, `${show.infoHash}/Season 1`)
+  t.deepEqual(titles(movie.infoHash), ['Movie'])
+  t.equal(deviceUuid('host:8000'), deviceUuid('host:8000'))
+  t.match(deviceUuid('host:8000'), /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-a[0-9a-f]{3}-[0-9a-f]{12}$/)
+  t.end()
+})
+
+test('upnp: device description and ContentDirectory', t => {
+  const client = Object.assign(new EventEmitter(), { torrents: [show, movie] })
+  const handler = createUpnpHandler(client, {
+    uuid: 'abcd',
+    name: 'WebTorrent <test>',
+    hrefOf: (file, req) => `http://${req.headers.host}${file.streamURL}`
+  })
+  const server = http.createServer((req, res) => {
+    if (handler.handles(req)) return handler(req, res)
+    res.writeHead(418)
+    res.end()
+  })
+
+  const request = (method, path, { action, body } = {}) => new Promise((resolve, reject) => {
+    const headers = action ? { SOAPACTION: `"urn:schemas-upnp-org:service:ContentDirectory:1#${action}"`, 'Content-Type': 'text/xml' } : {}
+    http.request({ host: '127.0.0.1', port: server.address().port, method, path, headers }, res => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => resolve({ res, body: Buffer.concat(chunks).toString() }))
+    }).on('error', reject).end(body)
+  })
+
+  // What a renderer sends, with the namespace prefix some of them use
+  const browse = (id, flag, start = 0, count = 0) => request('POST', '/upnp/control/content-directory', {
+    action: 'Browse',
+    body: '<?xml version="1.0"?><s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body>' +
+      '<u:Browse xmlns:u="urn:schemas-upnp-org:service:ContentDirectory:1">' +
+      `<ObjectID>${id}</ObjectID><BrowseFlag>${flag}</BrowseFlag><Filter>*</Filter>` +
+      `<StartingIndex>${start}</StartingIndex><RequestedCount>${count}</RequestedCount><SortCriteria></SortCriteria>` +
+      '</u:Browse></s:Body></s:Envelope>'
+  })
+  const result = body => /<Result>([\s\S]*)<\/Result>/.exec(body)[1].replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&')
+
+  server.listen(0, '127.0.0.1', async () => {
+    const host = `127.0.0.1:${server.address().port}`
+    try {
+      const description = await request('GET', '/upnp/description.xml?token=abc')
+      t.equal(description.res.statusCode, 200)
+      t.match(description.body, /<deviceType>urn:schemas-upnp-org:device:MediaServer:1<\/deviceType>/)
+      t.match(description.body, /<friendlyName>WebTorrent &lt;test&gt;<\/friendlyName>/)
+      t.match(description.body, /<UDN>uuid:abcd<\/UDN>/)
+      t.match(description.body, /<controlURL>\/upnp\/control\/content-directory\?token=abc<\/controlURL>/, 'service URLs keep the token')
+
+      t.match((await request('GET', '/upnp/scpd/content-directory')).body, /<name>Browse<\/name>/)
+      t.equal((await request('SUBSCRIBE', '/upnp/events/content-directory')).res.headers.timeout, 'Second-1800')
+
+      const root = await browse('0', 'BrowseDirectChildren')
+      t.equal(root.res.statusCode, 200)
+      t.match(root.body, /<NumberReturned>2<\/NumberReturned><TotalMatches>2<\/TotalMatches>/)
+      t.match(result(root.body), new RegExp(`<container id="${show.infoHash}" parentID="0" restricted="1" childCount="3" searchable="0"><dc:title>Show</dc:title><upnp:class>object.container.storageFolder</upnp:class></container>`))
+
+      const extras = result((await browse(`${show.infoHash}/Extras`, 'BrowseDirectChildren')).body)
+      t.ok(extras.includes(
+        `<item id="${show.infoHash}:3" parentID="${show.infoHash}/Extras" restricted="1"><dc:title>Trailer &amp; Teaser</dc:title>` +
+        '<upnp:class>object.item.videoItem</upnp:class>' +
+        `<res protocolInfo="http-get:*:video/mp4:*" size="1000">http://${host}/webtorrent/${show.infoHash}/Show/Extras/Trailer%20%26%20Teaser.mp4</res></item>`
+      ), 'items point to the stream URLs')
+
+      const page = await browse(`${show.infoHash}/Season 1`, 'BrowseDirectChildren', 1, 1)
+      t.match(page.body, /<NumberReturned>1<\/NumberReturned><TotalMatches>2<\/TotalMatches>/)
+      t.match(result(page.body), /<dc:title>Show S01E10<\/dc:title>/)
+
+      const metadata = await browse(`${show.infoHash}:4`, 'BrowseMetadata')
+      t.match(result(metadata.body), /<upnp:class>object.item.imageItem.photo<\/upnp:class>/)
+
+      const missing = await browse('nope', 'BrowseDirectChildren')
+      t.equal(missing.res.statusCode, 500)
+      t.match(missing.body, /<errorCode>701<\/errorCode>/)
+
+      client.emit('torrent')
+      t.match((await request('POST', '/upnp/control/content-directory', { action: 'GetSystemUpdateID', body: '' })).body, /<Id>2<\/Id>/)
+      t.match((await request('POST', '/upnp/control/content-directory', { action: 'Search', body: '' })).body, /<errorCode>401<\/errorCode>/)
+      t.equal((await request('GET', '/upnp/control/content-directory')).res.statusCode, 405)
+      t.equal((await request('GET', '/upnp/nope')).res.statusCode, 404)
+      t.equal((await request('GET', '/webtorrent/')).res.statusCode, 418, 'other paths are left to the server')
+    } catch (err) {
+      t.error(err)
+    }
+    server.close()
+    t.end()
+  })
+})
+
+test('upnp: answers SSDP searches', t => {
+  const ssdp = new SsdpServer({ uuid: 'abcd', location: 'http://192.168.1.2:8000/upnp/description.xml', address: '127.0.0.1', port: 0 })
+  ssdp.on('warning', () => {})
+
+  ssdp.start().then(() => {
+    const port = ssdp.socket.address().port
+    const socket = dgram.createSocket('udp4')
+    const responses = []
+
+    socket.on('message', message => responses.push(message.toString()))
+    socket.bind(0, '127.0.0.1', () => {
+      const search = st => Buffer.from(`M-SEARCH * HTTP/1.1\r\nHOST: 239.255.255.250:1900\r\nMAN: "ssdp:discover"\r\nMX: 1\r\nST: ${st}\r\n\r\n`)
+      socket.send(search('urn:schemas-upnp-org:device:MediaServer:1'), port, '127.0.0.1')
+      socket.send(search('urn:schemas-upnp-org:device:MediaRenderer:1'), port, '127.0.0.1')
+      socket.send(search('ssdp:all'), port, '127.0.0.1')
+
+      setTimeout(() => {
+        t.equal(responses.length, 6, 'one answer for the MediaServer and five for ssdp:all')
+        t.ok(responses[0].startsWith('HTTP/1.1 200 OK\r\n'))
+        t.ok(responses[0].includes('\r\nLOCATION: http://192.168.1.2:8000/upnp/description.xml\r\n'))
+        t.ok(responses[0].includes('\r\nST: urn:schemas-upnp-org:device:MediaServer:1\r\n'))
+        t.ok(responses[0].includes('\r\nUSN: uuid:abcd::urn:schemas-upnp-org:device:MediaServer:1\r\n'))
+        t.ok(responses.some(response => response.includes('\r\nUSN: uuid:abcd::upnp:rootdevice\r\n')))
+
+        socket.close()
+        ssdp.close()
+        t.end()
+      }, 200)
+    })
+  })
+})
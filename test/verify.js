@@ -0,0 +1,69 @@
+import createTorrent from 'create-torrent'
+import fs from 'fs'
+import os from 'os'
+import parseTorrent from 'parse-torrent'
+import path from 'path'
+import test from 'tape'
+import { formatRanges, pieceRanges, toBitfield, verifyTorrent } from '../lib/verify.js'
+
+// A torrent of three files with 16 kB pieces, `a` and `b` share piece 2
+async function fixture (t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webtorrent-verify-'))
+  t.teardown(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+  const data = path.join(dir, 'Data')
+  fs.mkdirSync(path.join(data, 'sub'), { recursive: true })
+  fs.writeFileSync(path.join(data, 'a.bin'), Buffer.alloc(40000, 1))
+  fs.writeFileSync(path.join(data, 'b.bin'), Buffer.alloc(30000, 2))
+  fs.writeFileSync(path.join(data, 'sub', 'c.bin'), Buffer.alloc(20000, 3))
+
+  const torrent = await new Promise((resolve, reject) => {
+    createTorrent(data, { pieceLength: 16384 }, (err, torrent) => err ? reject(err) : resolve(torrent))
+  })
+  return { dir, parsed: parseTorrent(Buffer.from(torrent)) }
+}
+
+test('verify: all pieces match', async t => {
+  const { dir, parsed } = await fixture(t)
+  const progress = []
+
+  const report = await verifyTorrent(parsed, dir, { onProgress: (done, total) => progress.push(`${done}/${total}`) })
+  t.ok(report.ok)
+  t.deepEqual(report.pieces, { total: 6, valid: 6, corrupt: 0, missing: 0 })
+  t.deepEqual(report.files.map(file => file.status), ['ok', 'ok', 'ok'])
+  t.equal(progress[progress.length - 1], '6/6')
+})
+
+test('verify: reports corrupt and missing data', async t => {
+  const { dir, parsed } = await fixture(t)
+  const names = parsed.files.map(file => file.path.split(path.sep).join('/'))
+  const file = name => path.join(dir, parsed.files[names.indexOf(name)].path)
+
+  // A changed byte in the second piece of b.bin, and c.bin cut short
+  const b = fs.readFileSync(file('Data/b.bin'))
+  b[20000] = 0
+  fs.writeFileSync(file('Data/b.bin'), b)
+  fs.truncateSync(file('Data/sub/c.bin'), 10000)
+
+  let report = await verifyTorrent(parsed, dir)
+  t.notOk(report.ok)
+  t.deepEqual(report.pieces, { total: 6, valid: 3, corrupt: 1, missing: 2 })
+  const status = name => report.files[names.indexOf(name)]
+  t.deepEqual(status('Data/b.bin'), { path: parsed.files[names.indexOf('Data/b.bin')].path, length: 30000, size: 30000, status: 'corrupt', pieces: [[3, 4]] }, 'with the piece it shares with c.bin')
+  t.equal(status('Data/sub/c.bin').status, 'incomplete')
+  t.deepEqual(status('Data/sub/c.bin').pieces, [[4, 5]])
+  t.equal(status('Data/a.bin').status, 'ok')
+  t.deepEqual(Array.from(toBitfield(report)), [0b11100000], 'bitfield of the valid pieces')
+
+  fs.rmSync(file('Data/a.bin'))
+  report = await verifyTorrent(parsed, dir)
+  t.equal(report.files[names.indexOf('Data/a.bin')].status, 'missing')
+  t.deepEqual(report.missingPieces, [[0, 2], [4, 5]], 'with the piece it shares with b.bin')
+})
+
+test('verify: piece ranges', t => {
+  t.deepEqual(pieceRanges([1, 2, 3, 5, 8, 9]), [[1, 3], [5, 5], [8, 9]])
+  t.deepEqual(pieceRanges([]), [])
+  t.equal(formatRanges([[1, 3], [5, 5]]), '1-3,5')
+  t.end()
+})
@@ -0,0 +1,91 @@
+import test from 'tape'
+import { decodeText, toVtt } from '../lib/vtt.js'
+
+const SRT = `1
+00:00:01,500 --> 00:00:03,000
+<font color="#ffffff">Hello <I>world</I></font>
+
+2
+00:00:04,000 --> 00:00:06,250
+{\\an8}Fish & chips
+<3 --> you
+`
+
+test('vtt: srt', t => {
+  t.equal(toVtt(Buffer.from(SRT)), [
+    'WEBVTT',
+    '',
+    '00:00:01.500 --> 00:00:03.000',
+    'Hello <i>world</i>',
+    '',
+    '00:00:04.000 --> 00:00:06.250',
+    'Fish &amp; chips',
+    '&lt;3 -> you',
+    '',
+    ''
+  ].join('\n'))
+
+  t.equal(toVtt(Buffer.from(`\uFEFF${SRT.replace(/\n/g, '\r\n')}`)), toVtt(Buffer.from(SRT)), 'byte order mark and CRLF')
+  t.end()
+})
+
+test('vtt: offset', t => {
+  t.equal(toVtt(Buffer.from(SRT), { offset: -2 }), [
+    'WEBVTT',
+    '',
+    '00:00:00.000 --> 00:00:01.000',
+    'Hello <i>world</i>',
+    '',
+    '00:00:02.000 --> 00:00:04.250',
+    'Fish &amp; chips',
+    '&lt;3 -> you',
+    '',
+    ''
+  ].join('\n'))
+  t.equal(toVtt(Buffer.from(SRT), { offset: -4 }).split('-->').length, 2, 'cues that end before the start are dropped')
+
+  const vtt = 'WEBVTT\n\nNOTE a comment\n\nintro\n01:02.000 --> 01:03.500 line:0\nHi\n'
+  t.equal(toVtt(Buffer.from(vtt)), vtt, 'WebVTT is passed through')
+  t.equal(toVtt(Buffer.from(vtt), { offset: 3600.5 }), 'WEBVTT\n\n01:01:02.500 --> 01:01:04.000 line:0\nHi\n\n')
+  t.end()
+})
+
+test('vtt: ass', t => {
+  const ass = [
+    '[Script Info]',
+    'Title: Test',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize',
+    'Style: Default,Arial,20',
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    'Dialogue: 0,0:00:02.50,0:00:04.00,Default,,0,0,0,,{\\pos(10,10)}Second, {\\i1}line',
+    'Comment: 0,0:00:00.00,0:00:01.00,Default,,0,0,0,,Not shown',
+    'Dialogue: 0,0:00:00.00,0:00:01.00,Default,,0,0,0,,First\\Nline\\h!'
+  ].join('\n')
+
+  t.equal(toVtt(Buffer.from(ass), { name: 'movie.ass' }), [
+    'WEBVTT',
+    '',
+    '00:00:00.000 --> 00:00:01.000',
+    'First',
+    'line !',
+    '',
+    '00:00:02.500 --> 00:00:04.000',
+    'Second, <i>line</i>',
+    '',
+    ''
+  ].join('\n'))
+  t.end()
+})
+
+test('vtt: charsets', t => {
+  t.equal(decodeText(Buffer.from('Grüße')), 'Grüße')
+  t.equal(decodeText(Buffer.from('\uFEFFGrüße', 'utf16le')), 'Grüße', 'UTF-16 with byte order mark')
+  t.equal(decodeText(Buffer.from('Hello world', 'utf16le')), 'Hello world', 'UTF-16 without byte order mark')
+  t.equal(decodeText(Buffer.from([0x47, 0x72, 0xFC, 0xDF, 0x65, 0x20, 0x61, 0x75, 0x73, 0x20, 0x4B, 0xF6, 0x6C, 0x6E])), 'Grüße aus Köln', 'Windows-1252')
+  t.equal(decodeText(Buffer.from([0xCF, 0xF0, 0xE8, 0xE2, 0xE5, 0xF2, 0x2C, 0x20, 0xEC, 0xE8, 0xF0])), 'Привет, мир', 'Windows-1251')
+  t.end()
+})
@@ -0,0 +1,44 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import test from 'tape'
+import { FolderWatcher, markFile } from '../lib/watch-folder.js'
+
+test('watch folder: reports existing and new torrent files', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webtorrent-watch-'))
+  fs.writeFileSync(path.join(dir, 'existing.torrent'), 'data')
+  fs.writeFileSync(path.join(dir, 'ignored.txt'), 'data')
+
+  const seen = []
+  const watcher = new FolderWatcher(dir, { stableTime: 50 })
+    .on('error', err => t.fail(err))
+    .on('file', file => {
+      seen.push(path.basename(file))
+
+      if (seen.length === 1) {
+        fs.writeFileSync(path.join(dir, 'new.MAGNET'), 'magnet:?xt=urn:btih:d2474e86c95b19b8bcfdb92bc12c9d44667cfa36')
+      } else {
+        t.deepEqual(seen, ['existing.torrent', 'new.MAGNET'])
+        watcher.close()
+        fs.rmSync(dir, { recursive: true })
+        t.end()
+      }
+    })
+    .start()
+})
+
+test('watch folder: mark files as added and done', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webtorrent-watch-'))
+  const file = path.join(dir, 'a.torrent')
+  fs.writeFileSync(file, 'data')
+
+  const added = await markFile(file, 'added')
+  t.equal(added, `${file}.added`)
+
+  const done = await markFile(added, 'done')
+  t.equal(done, `${file}.done`)
+  t.ok(fs.existsSync(done))
+
+  await markFile(done, 'unknown').catch(err => t.ok(/Unknown state/.test(err.message)))
+  fs.rmSync(dir, { recursive: true })
+})
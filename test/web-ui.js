@@ -0,0 +1,91 @@
+import http from 'http'
+import test from 'tape'
+import { createWebUiHandler } from '../lib/web-ui.js'
+
+function get (port, pathname, method = 'GET', headers = {}, body) {
+  return new Promise((resolve, reject) => {
+    http.request({ host: '127.0.0.1', port, path: pathname, method, headers }, res => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => resolve({ res, body: Buffer.concat(chunks).toString() }))
+    }).on('error', reject).end(body)
+  })
+}
+
+function serve (handler, t, fn) {
+  const server = http.createServer((req, res) => {
+    if (handler.handles(req)) return handler(req, res)
+    res.end()
+  })
+  server.listen(0, '127.0.0.1', async () => {
+    try {
+      await fn(server.address().port)
+    } catch (err) {
+      t.error(err)
+    }
+    server.close()
+    t.end()
+  })
+}
+
+test('web ui: serves the dashboard and the api', t => {
+  const client = { torrents: [] }
+  const handler = createWebUiHandler(client, {})
+  const fallback = []
+  const server = http.createServer((req, res) => {
+    if (handler.handles(req)) return handler(req, res)
+    fallback.push(req.url)
+    res.end()
+  })
+
+  server.listen(0, '127.0.0.1', async () => {
+    const { port } = server.address()
+    try {
+      const page = await get(port, '/')
+      t.equal(page.res.statusCode, 200)
+      t.equal(page.res.headers['content-type'], 'text/html; charset=utf-8')
+      t.ok(page.body.includes('<video controls>'))
+
+      const torrents = await get(port, '/api/torrents')
+      t.deepEqual(JSON.parse(torrents.body), [])
+
+      t.equal((await get(port, '/', 'POST')).res.statusCode, 405)
+
+      await get(port, '/webtorrent/abc/file.mp4')
+      t.deepEqual(fallback, ['/webtorrent/abc/file.mp4'], 'file streams are left to the torrent server')
+    } catch (err) {
+      t.error(err)
+    }
+    server.close()
+    t.end()
+  })
+})
+
+test('web ui: only takes the torrent id and the files of new torrents', t => {
+  const added = []
+  const client = { torrents: [] }
+  const onAdd = async (torrentId, opts) => {
+    added.push(opts)
+    return { infoHash: torrentId, files: [] }
+  }
+  const handler = createWebUiHandler(client, { onAdd, auth: { token: 'abc' } })
+
+  serve(handler, t, async port => {
+    const body = JSON.stringify({ torrentId: 'a'.repeat(40), select: '0', path: '/etc', paused: true, bitfield: 'AAA=' })
+    const res = await get(port, '/api/torrents', 'POST', { 'Content-Type': 'application/json' }, body)
+    t.equal(res.res.statusCode, 201)
+    t.deepEqual(added, [{ select: '0' }])
+
+    const hosts = await get(port, '/api/torrents', 'GET', { Host: 'webtorrent.example.com:8000' })
+    t.equal(hosts.res.statusCode, 200, 'other host names with auth')
+  })
+})
+
+test('web ui: only for localhost without auth', t => {
+  const handler = createWebUiHandler({ torrents: [] }, {})
+
+  serve(handler, t, async port => {
+    t.equal((await get(port, '/api/torrents', 'GET', { Host: 'attacker.example.com:8000' })).res.statusCode, 403)
+    t.equal((await get(port, '/api/torrents')).res.statusCode, 200)
+  })
+})